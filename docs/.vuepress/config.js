@@ -86,7 +86,9 @@ module.exports = {
               '/guide/advanced/transitions.md',
               '/guide/advanced/data-fetching.md',
               '/guide/advanced/scroll-behavior.md',
-              '/guide/advanced/lazy-loading.md'
+              '/guide/advanced/lazy-loading.md',
+              '/guide/advanced/modal-routes.md',
+              '/guide/advanced/accessibility.md'
             ]
           }
         ]
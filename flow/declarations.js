@@ -1,5 +1,10 @@
 declare var document: Document;
 
+// flow内置的dom声明中还没有AbortSignal
+declare class AbortSignal extends EventTarget {
+  aborted: boolean;
+}
+
 declare class RouteRegExp extends RegExp {
   keys: Array<{ name: string, optional: boolean }>;
 }
@@ -23,14 +28,93 @@ declare type Dictionary<T> = { [key: string]: T }
 declare type NavigationGuard = (
   to: Route,
   from: Route,
-  next: (to?: RawLocation | false | Function | void) => void
+  next: (to?: RawLocation | false | Function | void) => void,
+  signal?: AbortSignal, // 通过router.push(location, { signal })传入的signal
+  info?: NavigationInfo
 ) => any
 
 // 导航确认后的钩子函数，例如vuerouter.afterEach() 添加的钩子函数
-declare type AfterNavigationHook = (to: Route, from: Route) => any
+// 导航失败时，第三个参数为导航失败对象
+declare type AfterNavigationHook = (
+  to: Route,
+  from: Route,
+  failure?: Error,
+  info?: NavigationInfo
+) => any
 
 type Position = { x: number, y: number };
-type PositionResult = Position | { selector: string, offset?: Position } | void;
+// 保存的滚动位置，containers为注册的滚动容器的位置
+type SavedPosition = { x: number, y: number, containers?: Dictionary<Position> };
+type ScrollOffset = Position | (() => Position);
+type PositionResult =
+  | {
+    x: number,
+    y: number,
+    behavior?: 'auto' | 'smooth',
+    containers?: Dictionary<Position>
+  }
+  | {
+    el?: string | Element,
+    selector?: string,
+    offset?: ScrollOffset,
+    behavior?: 'auto' | 'smooth',
+    containers?: Dictionary<Position>
+  }
+  | void;
+
+// 异步组件加载失败后的重试配置
+declare type ComponentRetryOptions = {
+  count?: number; // 最多重试的次数
+  delay?: number; // 第一次重试前等待的时间（毫秒）
+  backoff?: number; // 之后每次重试等待时间的倍数
+  shouldRetry?: (error: any, attempt: number, info: { record: RouteRecord, view: string }) => boolean;
+}
+
+// router.push(location, options)的options
+declare type NavigationOptions = {
+  signal?: AbortSignal; // 用来取消导航
+}
+
+// 保存滚动位置的存储，接口与sessionStorage、localStorage一致
+declare type ScrollStorageAdapter = {
+  getItem(key: string): ?string;
+  setItem(key: string, value: string): void;
+}
+
+declare type ScrollPersistenceOptions = {
+  storage?: ScrollStorageAdapter; // 默认为sessionStorage
+  key?: string; // 存储时使用的key
+  max?: number; // 最多保存的历史记录数量
+}
+
+declare type ScrollStorage = {
+  read(): Dictionary<SavedPosition>;
+  write(positions: Dictionary<SavedPosition>): void;
+}
+
+// modal路由的背景route，以历史记录的key保存
+declare type BackgroundStore = {
+  get(key: string): ?Route;
+  set(key: string, background: ?Route): void;
+}
+
+// routeRecord最近一次loader的结果以及对应的route，以routeRecord的path为key
+declare type LoaderCache = Dictionary<{ route: Route, data: any }>
+
+// 滚动前等待内容加载的配置
+declare type ScrollWaitOptions = {
+  timeout?: number; // 最多等待的时间（毫秒）
+  interval?: number; // 检查的间隔（毫秒）
+}
+
+// 导航完成后的焦点管理和页面标题播报
+declare type A11yOptions = {
+  // 获得焦点的元素，false时不移动焦点
+  focus?: boolean | string | ((to: Route, from: Route) => ?(string | Element | false));
+  // 播报的内容，默认为document.title，false时不播报
+  announce?: boolean | ((to: Route, from: Route) => ?string);
+  politeness?: 'polite' | 'assertive'; // live region的aria-live
+}
 
 // new VueRouter(RouterOptions)
 declare type RouterOptions = {
@@ -40,12 +124,22 @@ declare type RouterOptions = {
   base?: string;
   linkActiveClass?: string;
   linkExactActiveClass?: string;
+  linkPrefetch?: boolean | string; // <router-link>预加载异步组件的时机
   parseQuery?: (query: string) => Object;
   stringifyQuery?: (query: Object) => string;
+  guardTimeout?: number; // 导航守卫超时时间（毫秒）
+  initialEntries?: Array<RawLocation>; // abstract模式下预置的历史记录
+  initialIndex?: number; // abstract模式下初始记录的位置
+  componentRetry?: ComponentRetryOptions; // 所有路由的异步组件重试配置
+  scrollPersistence?: boolean | ScrollPersistenceOptions; // 刷新页面后保留滚动位置
+  scrollContainers?: Dictionary<string | Element>; // 需要保存滚动位置的容器，id => 选择器或者元素
+  scrollWait?: boolean | ScrollWaitOptions; // 滚动前等待目标元素出现或者页面高度足够
+  a11y?: boolean | A11yOptions; // 导航完成后移动焦点并播报页面标题
   scrollBehavior?: (
     to: Route,
     from: Route,
-    savedPosition: ?Position
+    savedPosition: ?SavedPosition,
+    info: NavigationInfo
   ) => PositionResult | Promise<PositionResult>;
 }
 
@@ -57,10 +151,16 @@ declare type RouteConfig = {
   name?: string;
   component?: any; // 路由组件，用户通常使用这个
   components?: Dictionary<any>; // { [name: string]: Component } // 命名视图组件
+  errorComponent?: any; // 异步组件加载失败时<router-view>渲染的组件
+  loadingComponent?: any; // 异步组件加载期间<router-view>渲染的组件
+  componentRetry?: ComponentRetryOptions; // 覆盖router的异步组件重试配置
+  transition?: RouteTransition; // <router-view>渲染该路由时使用的过渡效果
   redirect?: RedirectOption;
   alias?: string | Array<string>;
   children?: Array<RouteConfig>;
   beforeEnter?: NavigationGuard;
+  loader?: (route: Route, signal?: AbortSignal) => any; // 导航时加载路由数据
+  shouldReload?: (to: Route, from: Route) => boolean; // 复用routeRecord时是否重新运行loader
   meta?: any;
   props?: boolean | Object | Function;
   caseSensitive?: boolean;
@@ -74,11 +174,20 @@ declare type RouteRecord = {
   regex: RouteRegExp;
   components: Dictionary<any>; // 当前匹配的组件构造函数或者组件构造option
   instances: Dictionary<any>; // 当前匹配的组件实例
+  errorComponent: any;
+  loadingComponent: any;
+  componentRetry: ?ComponentRetryOptions;
+  transition: ?RouteTransition;
+  // 不阻塞导航的异步组件的加载状态，views为<router-view>渲染的loadingComponent和errorComponent的实例
+  asyncStatus?: Dictionary<{ loading: boolean, error: ?Error, views: Array<any> }>;
   name: ?string;
   parent: ?RouteRecord;
   redirect: ?RedirectOption;
   matchAs: ?string;
+  aliasOf?: RouteRecord; // 别名路由对应的原routeRecord
   beforeEnter: ?NavigationGuard;
+  loader: ?(route: Route, signal?: AbortSignal) => any;
+  shouldReload: ?(to: Route, from: Route) => boolean;
   meta: any;
   props: boolean | Object | Function | Dictionary<boolean | Object | Function>;
 }
@@ -100,10 +209,30 @@ declare type Location = {
   params?: Dictionary<string>; // 当前params对象
   append?: boolean; //
   replace?: boolean;
+  state?: ?Object; // 保存在历史记录中的状态
+  background?: ?(boolean | RawLocation | Route); // modal路由的背景位置
 }
 
 declare type RawLocation = string | Location
 
+// 导航的类型、方向以及在历史记录中移动的步数，popstate时根据历史记录中保存的position计算
+declare type NavigationInfo = {
+  type: 'push' | 'replace' | 'pop';
+  direction: 'forward' | 'back' | 'unknown';
+  delta: number;
+}
+
+// <router-view>选择过渡效果时使用的方向
+declare type TransitionDirection = 'forward' | 'back' | 'replace'
+
+// <transition>的props，或者只有过渡名称
+declare type RouteTransitionProps = string | Object
+
+declare type RouteTransition =
+  | RouteTransitionProps
+  | { forward?: RouteTransitionProps, back?: RouteTransitionProps, replace?: RouteTransitionProps }
+  | ((to: Route, from: Route, direction: TransitionDirection) => ?RouteTransitionProps)
+
 // Route声明
 declare type Route = {
   path: string;
@@ -115,4 +244,7 @@ declare type Route = {
   matched: Array<RouteRecord>;
   redirectedFrom?: string;
   meta?: any;
+  data: Object; // 合并后的loader结果
+  state: Object; // 历史记录中保存的状态
+  background?: Route; // modal路由渲染在其上的背景route
 }
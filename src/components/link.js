@@ -4,10 +4,13 @@ import { createRoute, isSameRoute, isIncludedRoute } from '../util/route'
 import { extend } from '../util/misc'
 import { normalizeLocation } from '../util/location'
 import { warn } from '../util/warn'
+import { inBrowser } from '../util/dom'
+import { prefetchAsyncComponents } from '../util/resolve-components'
 
 // work around weird flow bug
 const toTypes: Array<Function> = [String, Object]
 const eventTypes: Array<Function> = [String, Array]
+const prefetchTypes: Array<Function> = [Boolean, String]
 
 const noop = () => {}
 
@@ -30,6 +33,12 @@ export default {
     event: {
       type: eventTypes,
       default: 'click'
+    },
+    // true或'hover'：鼠标移入或获得焦点时预加载，'visible'：进入视口时预加载
+    // 不传时使用router.options.linkPrefetch
+    prefetch: {
+      type: prefetchTypes,
+      default: null
     }
   },
   render (h: Function) {
@@ -77,6 +86,16 @@ export default {
       }
     }
 
+    // 预加载目标路由的异步组件，失败时忽略，由真正的导航处理错误
+    const prefetch = () => {
+      const loading = prefetchAsyncComponents(route.matched, router)
+      if (loading) loading.catch(noop)
+    }
+    const prefetchOn = {}
+    if (getPrefetchMode(this)) {
+      prefetchOn.mouseenter = prefetchOn.focus = prefetch
+    }
+
     const on = { click: guardEvent }
     if (Array.isArray(this.event)) {
       this.event.forEach(e => {
@@ -95,6 +114,7 @@ export default {
         href,
         route,
         navigate: handler,
+        prefetch,
         isActive: classes[activeClass],
         isExactActive: classes[exactActiveClass]
       })
@@ -116,7 +136,7 @@ export default {
     }
 
     if (this.tag === 'a') {
-      data.on = on
+      data.on = addListeners(on, prefetchOn)
       data.attrs = { href }
     } else {
       // find the first <a> child and apply listener and href
@@ -143,16 +163,60 @@ export default {
           }
         }
 
+        addListeners(aData.on, prefetchOn)
+
         const aAttrs = (a.data.attrs = extend({}, a.data.attrs))
         aAttrs.href = href
       } else {
         // doesn't have <a> child, apply listener to self
-        data.on = on
+        data.on = addListeners(on, prefetchOn)
       }
     }
 
     return h(this.tag, data, this.$slots.default)
+  },
+  mounted () {
+    if (
+      getPrefetchMode(this) !== 'visible' ||
+      !inBrowser ||
+      typeof window.IntersectionObserver !== 'function' ||
+      this.$el.nodeType !== 1
+    ) {
+      return
+    }
+    // 进入视口后预加载一次
+    this._prefetchObserver = new window.IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this._prefetchObserver.disconnect()
+        const { route } = this.$router.resolve(this.to, this.$route, this.append)
+        const loading = prefetchAsyncComponents(route.matched, this.$router)
+        if (loading) loading.catch(noop)
+      }
+    })
+    this._prefetchObserver.observe(this.$el)
+  },
+  beforeDestroy () {
+    if (this._prefetchObserver) {
+      this._prefetchObserver.disconnect()
+    }
+  }
+}
+
+function getPrefetchMode (link): boolean | string {
+  const mode = link.prefetch == null
+    ? link.$router.options.linkPrefetch
+    : link.prefetch
+  // <router-link prefetch> 等同于 'hover'
+  return mode === true ? 'hover' : mode || false
+}
+
+// 将listeners中的事件添加到on中，同名事件转换为数组
+function addListeners (on: Object, listeners: Object): Object {
+  for (const event in listeners) {
+    const existing = on[event]
+    on[event] = existing ? [].concat(existing, listeners[event]) : listeners[event]
   }
+  return on
 }
 
 function guardEvent (e) {
@@ -1,5 +1,6 @@
 import { warn } from '../util/warn'
 import { extend } from '../util/misc'
+import { retryAsyncComponent } from '../util/resolve-components'
 
 export default {
   name: 'RouterView',
@@ -8,7 +9,9 @@ export default {
     name: {
       type: String,
       default: 'default'
-    }
+    },
+    // 渲染指定的route，而不是当前route，比如modal路由的背景route
+    route: Object
   },
   render (_, { props, children, parent, data }) {
     // used by devtools to display a router-view badge
@@ -17,19 +20,24 @@ export default {
     // directly use parent context's createElement() function
     // so that components rendered by router-view can resolve named slots
     const h = parent.$createElement
+    const owner = parent
     const name = props.name
-    const route = parent.$route
+    // 始终读取$route，保证当前route变化时重新渲染
+    const currentRoute = parent.$route
     const cache = parent._routerViewCache || (parent._routerViewCache = {})
 
     // determine current view depth, also check to see if the tree
     // has been toggled inactive but kept-alive.
     let depth = 0
     let inactive = false
+    // 祖先router-view通过route prop渲染的route，嵌套的router-view沿用这个route
+    let inheritedRoute
     while (parent && parent._routerRoot !== parent) {
       const vnodeData = parent.$vnode && parent.$vnode.data
       if (vnodeData) {
         if (vnodeData.routerView) {
           depth++
+          inheritedRoute = inheritedRoute || vnodeData.routerViewRoute
         }
         if (vnodeData.keepAlive && parent._inactive) {
           inactive = true
@@ -39,16 +47,68 @@ export default {
     }
     data.routerViewDepth = depth
 
+    if (props.route && !Array.isArray(props.route.matched)) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          false,
+          `<router-view> expects "route" to be a resolved route object, ` +
+          `use router.resolve(location).route to resolve a location.`
+        )
+      }
+      return h()
+    }
+    const route = props.route || inheritedRoute || currentRoute
+    if (route !== currentRoute) {
+      data.routerViewRoute = route
+    }
+
+    // 路由配置了transition时，用<transition>包裹渲染的组件
+    const router = owner.$router
+    const transition = router && resolveTransition(route, router.history, depth)
+    const wrap = vnode => transition
+      ? h('transition', { props: transition }, [vnode])
+      : vnode
+
     // render previous view if the tree is inactive and kept-alive
     if (inactive) {
-      return h(cache[name], data, children)
+      return wrap(h(cache[name], data, children))
     }
 
     const matched = route.matched[depth]
     // render empty node if no matched route
     if (!matched) {
       cache[name] = null
-      return h()
+      return wrap(h())
+    }
+
+    // 异步组件加载中或加载失败时，渲染路由配置的loadingComponent或errorComponent
+    const status = matched.asyncStatus && matched.asyncStatus[name]
+    if (status) {
+      cache[name] = null
+      const fallback = status.error ? matched.errorComponent : matched.loadingComponent
+      if (!fallback) {
+        return wrap(h())
+      }
+      data.props = {
+        error: status.error,
+        retry: () => retryAsyncComponent(matched, name, owner.$router)
+      }
+      // 记录渲染出的loadingComponent或errorComponent实例，加载状态变化后重新渲染它们所在的<router-view>
+      const registerView = data.registerRouteInstance = (vm, val) => {
+        const current = matched.asyncStatus && matched.asyncStatus[name]
+        if (!current) return
+        const i = current.views.indexOf(vm)
+        if (val && i < 0) {
+          current.views.push(vm)
+        } else if (!val && i > -1) {
+          current.views.splice(i, 1)
+        }
+      }
+      // 复用的实例同样需要记录，之前的加载状态可能已经被清除
+      ;(data.hook || (data.hook = {})).prepatch = (_, vnode) => {
+        registerView(vnode.componentInstance, true)
+      }
+      return wrap(h(fallback, data, children))
     }
 
     const component = cache[name] = matched.components[name]
@@ -98,8 +158,49 @@ export default {
       }
     }
 
-    return h(component, data, children)
+    return wrap(h(component, data, children))
+  }
+}
+
+const directions = ['forward', 'back', 'replace']
+
+// replace导航使用replace的过渡效果，方向未知的导航当作前进
+function getTransitionDirection (info) {
+  if (info.type === 'replace') {
+    return 'replace'
+  }
+  return info.direction === 'back' ? 'back' : 'forward'
+}
+
+/**
+ * @description 根据路由配置的transition得到<transition>的props。进入的routeRecord的配置优先，
+ * 其次是离开的routeRecord，这样离开和进入的组件使用同一个<transition>
+ * @param {Route} route 渲染的route
+ * @param {History} history 提供最近一次导航的fromRoute和导航信息
+ * @param {number} depth <router-view>的嵌套深度
+ * @returns {?Object} <transition>的props，没有配置transition时为undefined
+ */
+function resolveTransition (route, history, depth) {
+  const from = history.previous
+  const entering = route.matched[depth]
+  const leaving = from.matched[depth]
+  const config = (entering && entering.transition) || (leaving && leaving.transition)
+  if (!config) {
+    return
+  }
+  const direction = getTransitionDirection(history.navigation)
+  let transition = typeof config === 'function'
+    ? config(route, from, direction)
+    : config
+  // 按导航方向区分的配置，比如 { forward: 'slide-left', back: 'slide-right' }
+  if (transition && typeof transition === 'object' && directions.some(key => key in transition)) {
+    transition = transition[direction]
+  }
+  if (typeof transition === 'string') {
+    return { name: transition }
   }
+  // 当前方向没有过渡效果时仍然保留<transition>，避免组件被重新创建
+  return transition || { css: false }
 }
 
 function resolveProps (route, config) {
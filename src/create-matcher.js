@@ -5,12 +5,16 @@ import { resolvePath } from './util/path'
 import { assert, warn } from './util/warn'
 import { createRoute } from './util/route'
 import { fillParams } from './util/params'
-import { createRouteMap } from './create-route-map'
+import { createRouteMap, removeRouteRecord } from './create-route-map'
 import { normalizeLocation } from './util/location'
 
 export type Matcher = {
   match: (raw: RawLocation, current?: Route, redirectedFrom?: Location) => Route;
-  addRoutes: (routes: Array<RouteConfig>) => void;
+  addRoutes: (routes: Array<RouteConfig>) => () => void;
+  addRoute: (parentOrRoute: string | RouteConfig, route?: RouteConfig) => () => void;
+  removeRoute: (name: string) => void;
+  hasRoute: (name: string) => boolean;
+  getRoutes: () => Array<RouteRecord>;
 };
 
 /**
@@ -28,8 +32,59 @@ export function createMatcher (
   const { pathList, pathMap, nameMap } = createRouteMap(routes)
 
   // 根据传入的routes，重新初始化pathList, pathMap, nameMap三个对象，达到动态添加routeConfig的目的
+  // 返回一个移除函数，调用后会移除本次添加的所有路由（包括子路由和别名路由）
   function addRoutes (routes) {
-    createRouteMap(routes, pathList, pathMap, nameMap)
+    const { records } = createRouteMap(routes, pathList, pathMap, nameMap)
+    return createRemover(records)
+  }
+
+  // 返回一个移除函数，负责移除传入的routeRecord
+  function createRemover (records: Array<RouteRecord>): () => void {
+    return () => {
+      records.forEach(record => {
+        removeRouteRecord(pathList, pathMap, nameMap, record)
+      })
+    }
+  }
+
+  // 添加单个路由，传入父路由的name时，新路由会作为该父路由的子路由注册
+  function addRoute (
+    parentOrRoute: string | RouteConfig,
+    route?: RouteConfig
+  ): () => void {
+    if (typeof parentOrRoute !== 'string') {
+      return addRoutes([parentOrRoute])
+    }
+    const parent = nameMap[parentOrRoute]
+    if (process.env.NODE_ENV !== 'production') {
+      warn(parent, `Route with name '${parentOrRoute}' does not exist`)
+      assert(route, `addRoute with a parent name requires a route config.`)
+    }
+    if (!parent || !route) {
+      return () => {}
+    }
+    const { records } = createRouteMap([route], pathList, pathMap, nameMap, parent)
+    return createRemover(records)
+  }
+
+  // 根据name移除已注册的路由，同时移除它的子路由和别名路由
+  function removeRoute (name: string) {
+    const record = nameMap[name]
+    if (process.env.NODE_ENV !== 'production') {
+      warn(record, `Route with name '${name}' does not exist`)
+    }
+    if (record) {
+      removeRouteRecord(pathList, pathMap, nameMap, record)
+    }
+  }
+
+  function hasRoute (name: string): boolean {
+    return !!nameMap[name]
+  }
+
+  // 按照匹配优先级返回所有已注册的routeRecord
+  function getRoutes (): Array<RouteRecord> {
+    return pathList.map(path => pathMap[path])
   }
 
   /**
@@ -50,6 +105,9 @@ export function createMatcher (
     // 生成Location对象，描述导航目标页面的位置信息
     const location = normalizeLocation(raw, currentRoute, false, router)
     const { name } = location
+    if (location.background) {
+      location.background = resolveBackground(location.background, currentRoute)
+    }
 
     if (name) {
       // NOTE: 根据name导航匹配
@@ -138,10 +196,12 @@ export function createMatcher (
 
     const re: Object = redirect
     const { name, path } = re
-    let { query, hash, params } = location
+    const { background } = location
+    let { query, hash, params, state } = location
     query = re.hasOwnProperty('query') ? re.query : query
     hash = re.hasOwnProperty('hash') ? re.hash : hash
     params = re.hasOwnProperty('params') ? re.params : params
+    state = re.hasOwnProperty('state') ? re.state : state
 
     if (name) {
       // resolved named direct
@@ -154,7 +214,9 @@ export function createMatcher (
         name,
         query,
         hash,
-        params
+        params,
+        state,
+        background
       }, undefined, location)
     } else if (path) {
       // 1. resolve relative redirect
@@ -166,7 +228,9 @@ export function createMatcher (
         _normalized: true,
         path: resolvedPath,
         query,
-        hash
+        hash,
+        state,
+        background
       }, undefined, location)
     } else {
       if (process.env.NODE_ENV !== 'production') {
@@ -176,6 +240,27 @@ export function createMatcher (
     }
   }
 
+  /**
+   * @description 解析modal路由的背景位置。background为true时以当前route作为背景，
+   * 当前route本身是modal路由时沿用它的背景，使得modal之间的导航保持同一个背景
+   * @param {*} background true或者背景位置
+   * @param {Route} [currentRoute]
+   * @returns {?Route}
+   */
+  function resolveBackground (
+    background: boolean | RawLocation | Route,
+    currentRoute?: Route
+  ): ?Route {
+    if (background === true) {
+      return currentRoute && (currentRoute.background || currentRoute)
+    }
+    // 已经解析过的route对象，比如重定向时或者从历史记录中恢复时
+    if (typeof background === 'object' && Array.isArray(background.matched)) {
+      return (background: any)
+    }
+    return match((background: any), currentRoute)
+  }
+
   function alias (
     record: RouteRecord,
     location: Location,
@@ -215,7 +300,11 @@ export function createMatcher (
   // 返回一个对象，包含match和addRoutes方法
   return {
     match, // 根据当前路由匹配到组件实例
-    addRoutes // 动态注册routeConfig对象
+    addRoutes, // 动态注册routeConfig对象
+    addRoute, // 动态注册单个routeConfig对象，可以指定父路由
+    removeRoute, // 动态移除routeRecord
+    hasRoute,
+    getRoutes
   }
 }
 
@@ -11,21 +11,25 @@ import { assert, warn } from './util/warn'
  * @param {Array<string>} [oldPathList]
  * @param {Dictionary<RouteRecord>} [oldPathMap]
  * @param {Dictionary<RouteRecord>} [oldNameMap]
+ * @param {RouteRecord} [parent] 父routeRecord，传入时routes会作为它的子路由注册
  * @returns {{
  *   pathList: Array<string>,
  *   pathMap: Dictionary<RouteRecord>,
- *   nameMap: Dictionary<RouteRecord>
+ *   nameMap: Dictionary<RouteRecord>,
+ *   records: Array<RouteRecord>
  * }}
  */
 export function createRouteMap (
   routes: Array<RouteConfig>,
   oldPathList?: Array<string>,
   oldPathMap?: Dictionary<RouteRecord>,
-  oldNameMap?: Dictionary<RouteRecord>
+  oldNameMap?: Dictionary<RouteRecord>,
+  parent?: RouteRecord
 ): {
   pathList: Array<string>,
   pathMap: Dictionary<RouteRecord>,
-  nameMap: Dictionary<RouteRecord>
+  nameMap: Dictionary<RouteRecord>,
+  records: Array<RouteRecord>
 } {
   // the path list is used to control path matching priority path组成的数组
   const pathList: Array<string> = oldPathList || []
@@ -34,11 +38,29 @@ export function createRouteMap (
   // $flow-disable-line 根据name索引RouteConfig
   const nameMap: Dictionary<RouteRecord> = oldNameMap || Object.create(null)
 
-  routes.forEach(route => {
+  const records: Array<RouteRecord> = routes.map(route => {
     // NOTE: 将routeConfig对象转换为routeRecord，然后向pathList pathMap nameMap添加注册routeRecord
-    addRouteRecord(pathList, pathMap, nameMap, route)
+    return addRouteRecord(pathList, pathMap, nameMap, route, parent)
   })
 
+  if (parent) {
+    // 父路由存在别名时，子路由也需要注册到别名路由下，使得通过别名也能访问到新增的子路由
+    getAliasRecords(pathMap, parent).forEach(aliasRecord => {
+      records.forEach((record, i) => {
+        const route = routes[i]
+        const childRecord = addRouteRecord(
+          pathList,
+          pathMap,
+          nameMap,
+          route,
+          aliasRecord,
+          cleanPath(`${aliasRecord.matchAs || ''}/${route.path}`)
+        )
+        childRecord.aliasOf = record
+      })
+    })
+  }
+
   // ensure wildcard routes are always at the end
   // 确保path为* 的routeConfig对象永远在pathList的最后一位
   for (let i = 0, l = pathList.length; i < l; i++) {
@@ -64,7 +86,48 @@ export function createRouteMap (
   return {
     pathList,
     pathMap,
-    nameMap
+    nameMap,
+    records // 本次新增的顶层routeRecord，用于之后移除
+  }
+}
+
+/**
+ * @description 从pathList、pathMap、nameMap中移除指定的routeRecord，
+ * 同时移除它的所有子路由以及别名路由（别名路由的子路由也一并移除）
+ * @export
+ * @param {Array<string>} pathList
+ * @param {Dictionary<RouteRecord>} pathMap
+ * @param {Dictionary<RouteRecord>} nameMap
+ * @param {RouteRecord} record 需要移除的routeRecord
+ */
+export function removeRouteRecord (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>,
+  nameMap: Dictionary<RouteRecord>,
+  record: RouteRecord
+) {
+  // 沿着parent和aliasOf向上查找，判断是否属于需要被移除的record
+  const isRemoved = (r: ?RouteRecord): boolean => {
+    while (r) {
+      if (r === record) return true
+      r = r.aliasOf || r.parent
+    }
+    return false
+  }
+
+  // NOTE: pathList会被matcher的闭包引用，所以只能原地修改，不能重新赋值
+  for (let i = pathList.length - 1; i >= 0; i--) {
+    const path = pathList[i]
+    if (isRemoved(pathMap[path])) {
+      pathList.splice(i, 1)
+      delete pathMap[path]
+    }
+  }
+
+  for (const name in nameMap) {
+    if (isRemoved(nameMap[name])) {
+      delete nameMap[name]
+    }
   }
 }
 
@@ -76,6 +139,7 @@ export function createRouteMap (
  * @param {RouteConfig} route
  * @param {*} parent
  * @param {*} matchAs
+ * @returns {RouteRecord} 新建的routeRecord
  */
 function addRouteRecord (
   pathList: Array<string>,
@@ -84,7 +148,7 @@ function addRouteRecord (
   route: RouteConfig,
   parent?: RouteRecord,
   matchAs?: string
-) {
+): RouteRecord {
   const { path, name } = route
   if (process.env.NODE_ENV !== 'production') {
     assert(path != null, `"path" is required in a route configuration.`)
@@ -112,11 +176,17 @@ function addRouteRecord (
     regex: compileRouteRegex(normalizedPath, pathToRegexpOptions),
     components: route.components || { default: route.component }, // 命名视图组件
     instances: {},
+    errorComponent: route.errorComponent, // 异步组件加载失败时渲染的组件
+    loadingComponent: route.loadingComponent, // 异步组件加载期间渲染的组件
+    componentRetry: route.componentRetry, // 异步组件加载失败后的重试配置
+    transition: route.transition, // <router-view>的过渡效果
     name, // routeConfig.name
     parent,
     matchAs,
     redirect: route.redirect, // 重定向配置
     beforeEnter: route.beforeEnter, // beforeEnter钩子
+    loader: route.loader, // 路由数据的loader
+    shouldReload: route.shouldReload, // 复用时是否重新运行loader
     meta: route.meta || {},
     props: // https://router.vuejs.org/zh/guide/essentials/passing-props.html#%E5%B8%83%E5%B0%94%E6%A8%A1%E5%BC%8F
       route.props == null
@@ -179,7 +249,7 @@ function addRouteRecord (
         path: alias,
         children: route.children
       }
-      addRouteRecord(
+      const aliasRecord = addRouteRecord(
         pathList,
         pathMap,
         nameMap,
@@ -187,6 +257,8 @@ function addRouteRecord (
         parent,
         record.path || '/' // matchAs
       )
+      // 记录别名路由的来源，移除record时需要一并移除它的别名路由
+      aliasRecord.aliasOf = record
     }
   }
 
@@ -202,6 +274,29 @@ function addRouteRecord (
       )
     }
   }
+
+  return record
+}
+
+// 获取已注册的record的别名路由，包括祖先路由的别名下对应的record
+function getAliasRecords (
+  pathMap: Dictionary<RouteRecord>,
+  record: RouteRecord
+): Array<RouteRecord> {
+  // 沿着parent逐层向上比较：在某一层是祖先路由的别名，并且下面每一层都匹配到record对应的祖先路由
+  const isAliasOf = (r: ?RouteRecord, target: ?RouteRecord): boolean => {
+    while (r && target && r !== target) {
+      if (r.aliasOf === target) return true
+      if (r.matchAs !== target.path) return false
+      r = r.parent
+      target = target.parent
+    }
+    return false
+  }
+
+  return Object.keys(pathMap)
+    .map(path => pathMap[path])
+    .filter(r => isAliasOf(r, record))
 }
 
 function compileRouteRegex (
@@ -2,68 +2,142 @@
 
 import type Router from '../index'
 import { History } from './base'
-import { NavigationDuplicated } from './errors'
-import { isExtendedError } from '../util/warn'
+import { NavigationFailureType, isNavigationFailure } from './errors'
 
 export class AbstractHistory extends History {
-  index: number
-  stack: Array<Route>
+  _index: number
+  _stack: Array<Route>
+  changeListeners: Array<Function>
 
   constructor (router: Router, base: ?string) {
     super(router, base)
-    this.stack = []
-    this.index = -1
+    this.changeListeners = []
+    // 使用router.options.initialEntries预置历史记录，这些记录在router.init时才会进行导航确认
+    const entries = router.options.initialEntries || []
+    this._stack = entries.map(location => router.match(location))
+    this._index = clamp(
+      typeof router.options.initialIndex === 'number'
+        ? router.options.initialIndex
+        : entries.length - 1,
+      entries.length ? 0 : -1,
+      entries.length - 1
+    )
+  }
+
+  // 历史记录栈的拷贝，只能通过push、replace和go修改
+  get stack (): Array<Route> {
+    return this._stack.slice()
+  }
+
+  // 当前记录在历史记录栈中的位置，没有记录时为-1
+  get index (): number {
+    return this._index
+  }
+
+  /**
+   * @description 监听历史记录栈的变化，push、replace和go完成后调用
+   * @param {Function} fn 参数为 { type, route, index, delta }，type为'push' | 'replace' | 'pop'
+   * @returns {Function} 取消监听的函数
+   * @memberof AbstractHistory
+   */
+  onChange (fn: Function): Function {
+    const list = this.changeListeners
+    list.push(fn)
+    return () => {
+      const i = list.indexOf(fn)
+      if (i > -1) list.splice(i, 1)
+    }
   }
 
-  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  push (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
+    this.pendingNavigation = { type: 'push', direction: 'forward', delta: 1 }
     this.transitionTo(
       location,
       route => {
-        this.stack = this.stack.slice(0, this.index + 1).concat(route)
-        this.index++
+        this._stack = this._stack.slice(0, this._index + 1).concat(route)
+        this._index++
+        this.notify('push', route, 1)
         onComplete && onComplete(route)
       },
-      onAbort
+      onAbort,
+      signal
     )
   }
 
-  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  replace (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
+    this.pendingNavigation = { type: 'replace', direction: 'unknown', delta: 0 }
     this.transitionTo(
       location,
       route => {
-        this.stack = this.stack.slice(0, this.index).concat(route)
+        // 替换当前位置的记录，并丢弃前进方向的记录
+        if (this._index < 0) {
+          this._index = 0
+        }
+        this._stack = this._stack.slice(0, this._index).concat(route)
+        this.notify('replace', route, 0)
         onComplete && onComplete(route)
       },
-      onAbort
+      onAbort,
+      signal
     )
   }
 
   go (n: number) {
-    const targetIndex = this.index + n
-    if (targetIndex < 0 || targetIndex >= this.stack.length) {
+    const targetIndex = this._index + n
+    if (targetIndex < 0 || targetIndex >= this._stack.length) {
       return
     }
-    const route = this.stack[targetIndex]
+    const route = this._stack[targetIndex]
+    this.pendingNavigation = { type: 'pop', direction: n < 0 ? 'back' : 'forward', delta: n }
     this.confirmTransition(
       route,
       () => {
-        this.index = targetIndex
+        this._index = targetIndex
         this.updateRoute(route)
+        this.notify('pop', route, n)
       },
       err => {
-        if (isExtendedError(NavigationDuplicated, err)) {
-          this.index = targetIndex
+        if (isNavigationFailure(err, NavigationFailureType.duplicated)) {
+          this._index = targetIndex
+          this.notify('pop', route, n)
         }
       }
     )
   }
 
   getCurrentLocation () {
-    const current = this.stack[this.stack.length - 1]
+    const current = this._stack[this._index]
     return current ? current.fullPath : '/'
   }
 
+  // route.state保存在历史记录栈的route对象中
+  getCurrentState (): ?Object {
+    const current = this._stack[this._index]
+    return current ? current.state : undefined
+  }
+
   ensureURL () {
     // noop
   }
+
+  notify (type: string, route: Route, delta: number) {
+    const change = { type, route, index: this._index, delta }
+    this.changeListeners.slice().forEach(fn => {
+      fn(change)
+    })
+  }
+}
+
+function clamp (n: number, min: number, max: number): number {
+  return n < min ? min : n > max ? max : n
 }
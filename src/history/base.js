@@ -4,14 +4,25 @@ import { _Vue } from '../install'
 import type Router from '../index'
 import { inBrowser } from '../util/dom'
 import { runQueue } from '../util/async'
-import { warn, isError, isExtendedError } from '../util/warn'
-import { START, isSameRoute } from '../util/route'
+import { warn, isError } from '../util/warn'
+import { START, isSameRoute, isSameState } from '../util/route'
+import { Time } from '../util/state-key'
+import { extend } from '../util/misc'
 import {
   flatten,
   flatMapComponents,
   resolveAsyncComponents
 } from '../util/resolve-components'
-import { NavigationDuplicated } from './errors'
+import { resolveLoaders } from '../util/resolve-loaders'
+import {
+  NavigationFailureType,
+  NavigationDuplicated,
+  NavigationCancelled,
+  NavigationAborted,
+  NavigationRedirected,
+  NavigationGuardTimeout,
+  isNavigationFailure
+} from './errors'
 
 // 完整的导航解析流程 https://router.vuejs.org/zh/guide/advanced/navigation-guards.html#%E5%AE%8C%E6%95%B4%E7%9A%84%E5%AF%BC%E8%88%AA%E8%A7%A3%E6%9E%90%E6%B5%81%E7%A8%8B
 // 1. 导航被触发。
@@ -27,24 +38,37 @@ import { NavigationDuplicated } from './errors'
 // 11. 触发 DOM 更新。
 // 12. 用创建好的实例调用 beforeRouteEnter 守卫中传给 next 的回调函数。
 
+// 不是由push、replace或者历史记录的前进后退发起的导航，比如首次导航以及路由表变化后的重新导航
+const INITIAL_NAVIGATION: NavigationInfo = Object.freeze({
+  type: 'replace',
+  direction: 'unknown',
+  delta: 0
+})
+
 // 基类 HTML5History和HashHistory都继承这个对象
 export class History {
   router: Router
   base: string
   current: Route // 当前导航的route对象
   pending: ?Route // 正在导航中的toRoute对象
+  previous: Route // 最近一次确认的导航的fromRoute
+  navigation: NavigationInfo // 最近一次确认的导航的类型、方向和步数
+  pendingNavigation: NavigationInfo // 由push、replace和popstate设置，在下一次导航开始时取出
+  redirectedNavigation: ?NavigationInfo // 被守卫重定向的导航，重定向开始的导航沿用它的方向
   cb: (r: Route) => void
   ready: boolean
   readyCbs: Array<Function>
   readyErrorCbs: Array<Function>
   errorCbs: Array<Function>
+  loaderCache: LoaderCache // 路由loader的结果，保存在history上以免多个router实例之间共享
 
   // implemented by sub-classes 由子类实现
   +go: (n: number) => void
-  +push: (loc: RawLocation) => void
-  +replace: (loc: RawLocation) => void
+  +push: (loc: RawLocation, onComplete?: Function, onAbort?: Function) => void
+  +replace: (loc: RawLocation, onComplete?: Function, onAbort?: Function) => void
   +ensureURL: (push?: boolean) => void // 调用原生history对象方法，确认改变url地址栏
   +getCurrentLocation: () => string
+  +getCurrentState: () => ?Object
 
   constructor (router: Router, base: ?string) {
     this.router = router
@@ -52,10 +76,15 @@ export class History {
     // start with a route object that stands for "nowhere"
     this.current = START
     this.pending = null
+    this.previous = START
+    this.navigation = this.pendingNavigation = INITIAL_NAVIGATION
+    this.redirectedNavigation = null
     this.ready = false
     this.readyCbs = []
     this.readyErrorCbs = []
     this.errorCbs = []
+    // $flow-disable-line
+    this.loaderCache = Object.create(null)
   }
 
   listen (cb: Function) {
@@ -83,11 +112,13 @@ export class History {
    * @param {RawLocation} location toRoute 的url
    * @param {Function} onComplete 导航完成回调函数
    * @param {Function} onAbort 取消导航完成回调
+   * @param {AbortSignal} [signal] 用来取消导航的signal
    */
   transitionTo (
     location: RawLocation,
     onComplete?: Function,
-    onAbort?: Function
+    onAbort?: Function,
+    signal?: AbortSignal
   ) {
     // 根据Location对象创建Route对象（toRoute），此时this.current 相当于fromRoute
     const route = this.router.match(location, this.current)
@@ -121,13 +152,24 @@ export class History {
         if (onAbort) {
           onAbort(err)
         }
-        if (err && !this.ready) {
+        // 被重定向、取消或者打断的首次导航不算完成，等待后续的导航来标记ready
+        if (
+          err &&
+          !this.ready &&
+          !isNavigationFailure(
+            err,
+            NavigationFailureType.redirected |
+              NavigationFailureType.aborted |
+              NavigationFailureType.cancelled
+          )
+        ) {
           this.ready = true
           this.readyErrorCbs.forEach(cb => {
             cb(err)
           })
         }
-      }
+      },
+      signal
     )
   }
 
@@ -137,15 +179,36 @@ export class History {
    * @param {Route} route toRoute对象
    * @param {Function} onComplete 导航确认后的回调函数
    * @param {Function} onAbort 取消回调函数
+   * @param {AbortSignal} [signal] signal触发abort事件时取消导航，同时会传递给导航守卫以及loader
    */
-  confirmTransition (route: Route, onComplete: Function, onAbort?: Function) {
+  confirmTransition (
+    route: Route,
+    onComplete: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
     const current = this.current
+    let info = this.pendingNavigation
+    this.pendingNavigation = INITIAL_NAVIGATION
+    const redirected = this.redirectedNavigation
+    if (redirected) {
+      // 例如后退时被守卫重定向，新的导航是push，方向仍然是'back'
+      this.redirectedNavigation = null
+      info = { type: info.type, direction: redirected.direction, delta: info.delta }
+    }
+    const emit = createEmitter(this.router, route, current)
+    let aborted = false
+    let removeSignalListener = () => {}
     const abort = err => {
+      // 导航只会失败一次，例如被signal取消后，守卫中之后调用的next不再产生失败
+      if (aborted) return
+      aborted = true
+      removeSignalListener()
       // after merging https://github.com/vuejs/vue-router/pull/2771 we
       // When the user navigates through history through back/forward buttons
       // we do not want to throw the error. We only throw it if directly calling
       // push/replace. That's why it's not included in isError
-      if (!isExtendedError(NavigationDuplicated, err) && isError(err)) {
+      if (!isNavigationFailure(err) && isError(err)) {
         if (this.errorCbs.length) {
           this.errorCbs.forEach(cb => {
             cb(err)
@@ -155,15 +218,28 @@ export class History {
           console.error(err)
         }
       }
+      emit('navigationFailed', { error: err })
+      // 导航失败同样通知afterEach钩子，第三个参数为失败对象
+      if (isNavigationFailure(err)) {
+        this.router.afterHooks.forEach(hook => {
+          hook && hook(route, current, err, info)
+        })
+      }
       onAbort && onAbort(err)
     }
     if (
       isSameRoute(route, current) &&
+      isSameState(route, current) &&
       // in the case the route map has been dynamically appended to
       route.matched.length === current.matched.length
     ) {
       this.ensureURL()
-      return abort(new NavigationDuplicated(route))
+      return abort(new NavigationDuplicated(current, route))
+    }
+    // 重复的导航不算开始了导航，只触发navigationFailed
+    emit('navigationStart')
+    if (signal && signal.aborted) {
+      return abort(new NavigationCancelled(current, route, 'by an AbortSignal'))
     }
     // updated、deactivated、activated是三个RouteRecord数组
     const { updated, deactivated, activated } = resolveQueue(
@@ -174,6 +250,10 @@ export class History {
     // queue都是导航确认前的路由钩子函数组成的数组
     // 从这里可以看到完整的导航解析流程的一部分
     // https://router.vuejs.org/zh/guide/advanced/navigation-guards.html#%E5%AE%8C%E6%95%B4%E7%9A%84%E5%AF%BC%E8%88%AA%E8%A7%A3%E6%9E%90%E6%B5%81%E7%A8%8B
+    const resolveAsync = resolveAsyncComponents(activated, this.router)
+    const resolveData = resolveLoaders(this.loaderCache)
+    // guardResolved事件中以loader的名称报告
+    resolveData._guardInfo = { name: 'loader' }
     const queue: Array<?NavigationGuard> = [].concat(
       // in-component leave guards NOTE: beforeRouteLeave
       extractLeaveGuards(deactivated), // 从deactivated的RouteRecord中提取出导航守卫 在失活的组件里调用离开守卫。
@@ -185,56 +265,68 @@ export class History {
       // https://router.vuejs.org/zh/guide/advanced/navigation-guards.html#%E8%B7%AF%E7%94%B1%E7%8B%AC%E4%BA%AB%E7%9A%84%E5%AE%88%E5%8D%AB
       activated.map(m => m.beforeEnter), // 从activated的RouteRecord中提取出导航守卫，也就是路由独享的beforeEnter  在路由配置里调用 beforeEnter。
       // async components 返回一个路由钩子函数，负责解析异步组件 NavigationGuard
-      resolveAsyncComponents(activated) // 解析异步路由组件。
+      resolveAsync // 解析异步路由组件。
     )
     // NOTE: 打印查看queue队列 queue数组中存储了所有定义好的路由导航钩子函数
     console.log(queue)
     // 设置toRoute为正在加载的route
     this.pending = route
-    /**
-     *
-     * @param {NavigationGuard} hook 需要被运行的钩子函数
-     * @param {Function} next 运行完当前钩子函数后，调用next开始下一个钩子函数运行
-     */
-    const iterator = (hook: NavigationGuard, next) => {
-      if (this.pending !== route) {
-        // 如果当前正在加载的route已经发生变化，说明导航路由发生了突变，则调用abort放弃剩下的路由钩子执行
-        return abort()
+    if (signal) {
+      const navigationSignal = signal
+      const onSignalAbort = () => {
+        if (this.pending === route) {
+          this.pending = null
+        }
+        abort(new NavigationCancelled(current, route, 'by an AbortSignal'))
       }
-      try {
-        // 调用设置到NavigationGuard(to, from, next)
-        hook(route, current, (to: any) => {
-          if (to === false || isError(to)) {
-            // next(false) -> abort navigation, ensure current URL
-            // 放弃导航，根据currentRoute对象重新确认url地址栏并且需要使用replace，以避免对当前历史栈产生影响
-            this.ensureURL(true)
-            // 调用用户设置的取消回调函数
-            abort(to) // 不再调用next函数，放弃剩下的路由钩子
-          } else if (
-            typeof to === 'string' ||
-            (typeof to === 'object' &&
-              (typeof to.path === 'string' || typeof to.name === 'string'))
-          ) {
-            // 如果用户在next中传入了path或者对象，则意味用户想要重定向路由导航
-            // next('/') or next({ path: '/' }) -> redirect
-            abort()
-            if (typeof to === 'object' && to.replace) {
-              // 根据用户设置调用replace方法，重启导航过程，不再调用next函数，放弃剩下的路由钩子
-              this.replace(to)
-            } else {
-              // 根据用户设置调用push方法，重启导航过程，不再调用next函数，放弃剩下的路由钩子
-              this.push(to)
-            }
-          } else {
-            // confirm transition and pass on the value
-            // 确认继续导航
-            next(to)
-          }
-        })
-      } catch (e) {
-        abort(e)
+      navigationSignal.addEventListener('abort', onSignalAbort)
+      removeSignalListener = () => {
+        navigationSignal.removeEventListener('abort', onSignalAbort)
       }
     }
+    const iterator = createGuardIterator(this.router, {
+      route,
+      from: current,
+      records: activated,
+      info,
+      signal,
+      resolveAsync,
+      untimed: [resolveAsync, resolveData],
+      emit,
+      // 当前正在加载的route发生变化，说明导航路由发生了突变，放弃剩下的路由钩子
+      isActive: () => this.pending === route,
+      isSettled: () => aborted,
+      abort,
+      reject: err => {
+        if (this.pending === route) {
+          this.pending = null
+        }
+        // next(false)、next(error)或者守卫超时，根据currentRoute对象重新确认url地址栏并且需要使用replace，以避免对当前历史栈产生影响
+        this.ensureURL(true)
+        abort(err)
+      },
+      redirect: to => {
+        const failure = new NavigationRedirected(current, route)
+        abort(failure)
+        // onAbort中可以在failure._redirect上登记回调，跟随重定向开始的导航，例如resolveForServer
+        const onRedirectComplete = route => {
+          failure._redirect && failure._redirect.onComplete(route)
+        }
+        const onRedirectAbort = err => {
+          failure._redirect && failure._redirect.onAbort(err)
+        }
+        // push和replace同步地开始新的导航，在confirmTransition中取出
+        this.redirectedNavigation = info
+        if (typeof to === 'object' && to.replace) {
+          // 根据用户设置调用replace方法，重启导航过程，不再调用next函数，放弃剩下的路由钩子
+          this.replace(to, onRedirectComplete, onRedirectAbort)
+        } else {
+          // 根据用户设置调用push方法，重启导航过程，不再调用next函数，放弃剩下的路由钩子
+          this.push(to, onRedirectComplete, onRedirectAbort)
+        }
+        this.redirectedNavigation = null
+      }
+    })
 
     // 运行导航时的路由钩子queue
     runQueue(queue, iterator, () => {
@@ -257,14 +349,21 @@ export class History {
       // extracting in-component enter guards
       // 从被激活的组件总提取beforeRouteEnter路由钩子
       const enterGuards = extractEnterGuards(activated, postEnterCbs, isValid)
-      const queue = enterGuards.concat(this.router.resolveHooks) // 全局的 beforeResolve 钩子
+      const queue = enterGuards.concat(
+        this.router.resolveHooks, // 全局的 beforeResolve 钩子
+        // 导航确认之前并行运行路由的loader，结果合并到route.data
+        route.matched.some(m => m.loader) ? resolveData : []
+      )
       runQueue(queue, iterator, () => {
         // 此时完成了上述路由导航步骤的7~8步
         if (this.pending !== route) { // 检查当前加载的路由是否起了变化，如果发生变化则调用取消回调
-          return abort()
+          return abort(new NavigationCancelled(current, route))
         }
         this.pending = null
+        removeSignalListener()
+        this.navigation = info
         onComplete(route)
+        emit('navigationEnd')
         if (this.router.app) {
           this.router.app.$nextTick(() => {
             // 调用beforeRouteEnter中的next函数接收的回调函数，已经绑定了vm参数
@@ -286,10 +385,116 @@ export class History {
     const prev = this.current
     // 导航确认，将toRoute对象设置当前路由对象
     this.current = route
+    // 在通知<router-view>重新渲染前记录fromRoute，用于选择过渡效果
+    this.previous = prev
     this.cb && this.cb(route)
     // 调用vuerouter.afterEach钩子
     this.router.afterHooks.forEach(hook => {
-      hook && hook(route, prev) // to, from
+      hook && hook(route, prev, undefined, this.navigation) // to, from, failure, info
+    })
+  }
+
+  /**
+   * @description 运行不阻塞导航加载的异步组件(声明了loadingComponent的路由)的beforeRouteEnter守卫。
+   * 组件加载完成后，等待导航结束再运行守卫，守卫全部通过后<router-view>才渲染该组件。
+   * 守卫和导航中的守卫一样受guardTimeout限制并触发guardResolved事件。
+   * 守卫中next(false)时回到fromRoute，重定向时replace到新的location
+   * @param {RouteRecord} match
+   * @param {string} key 命名视图的名称
+   * @param {Function} onConfirm 守卫全部通过，或者match已经不在当前route中时调用
+   * @param {Function} onError 守卫放弃导航、超时或者出错时调用，之后渲染errorComponent
+   * @param {AbortSignal} [signal] 加载该组件的导航的signal，传给守卫，signal触发后不再运行之后的守卫
+   */
+  confirmLazyView (
+    match: RouteRecord,
+    key: string,
+    onConfirm: Function,
+    onError: Function,
+    signal?: AbortSignal
+  ) {
+    // 导航还没有结束，结束之后再判断match是否被激活
+    if (this.pending && this.pending.matched.indexOf(match) > -1) {
+      const removers = ['navigationEnd', 'navigationFailed'].map(name => {
+        return this.router.on(name, () => {
+          removers.forEach(remove => remove())
+          this.confirmLazyView(match, key, onConfirm, onError, signal)
+        })
+      })
+      return
+    }
+    const route = this.current
+    const from = this.previous
+    // match不在当前route中时不会被渲染，之后导航到该路由时组件已经加载完成，守卫在导航中运行
+    if (route.matched.indexOf(match) < 0) {
+      return onConfirm()
+    }
+    const postEnterCbs = []
+    const isValid = () => this.current === route
+    const guards = extractGuards([match], 'beforeRouteEnter', (guard, _, record, name) => {
+      return name === key
+        ? bindEnterGuard(guard, record, key, postEnterCbs, isValid)
+        : undefined
+    })
+    const isActive = () => isValid() && !(signal && signal.aborted)
+    let failed = false
+    // 离开该route之后不再处理守卫的结果，返回是否处理了这次失败
+    const fail = (err): boolean => {
+      if (failed || !isValid()) return false
+      failed = true
+      if (!isNavigationFailure(err) && isError(err)) {
+        this.errorCbs.forEach(cb => {
+          cb(err)
+        })
+      }
+      onError(err)
+      return true
+    }
+    const cancel = () => fail(new NavigationCancelled(from, route, 'by an AbortSignal'))
+    const iterator = createGuardIterator(this.router, {
+      route,
+      from,
+      records: [match],
+      info: this.navigation,
+      signal,
+      untimed: [],
+      emit: createEmitter(this.router, route, from),
+      isActive,
+      isSettled: () => failed,
+      abort: err => {
+        if (signal && signal.aborted) {
+          cancel()
+        } else {
+          fail(err)
+        }
+      },
+      reject: err => {
+        if (
+          fail(err) &&
+          from !== START &&
+          isNavigationFailure(err, NavigationFailureType.aborted)
+        ) {
+          this.replace(from.fullPath)
+        }
+      },
+      redirect: to => {
+        if (fail(new NavigationRedirected(from, route))) {
+          this.replace(to)
+        }
+      }
+    })
+    runQueue(guards, iterator, () => {
+      if (!isActive()) {
+        cancel()
+        return
+      }
+      onConfirm()
+      if (this.router.app) {
+        this.router.app.$nextTick(() => {
+          postEnterCbs.forEach(cb => {
+            cb()
+          })
+        })
+      }
     })
   }
 }
@@ -342,6 +547,124 @@ function resolveQueue (
   }
 }
 
+// 触发导航生命周期事件，所有事件都带有to、from、timestamp以及距离开始的duration
+function createEmitter (router: Router, to: Route, from: Route) {
+  const startTime = Time.now()
+  return (name: string, payload?: Object) => {
+    const timestamp = Time.now()
+    router.emit(name, extend({
+      to,
+      from,
+      timestamp,
+      duration: timestamp - startTime
+    }, payload))
+  }
+}
+
+// 运行一组导航守卫时，由confirmTransition和confirmLazyView提供的上下文
+type GuardRun = {
+  route: Route,
+  from: Route,
+  records: Array<RouteRecord>, // 用来查找beforeEnter守卫所属的routeRecord
+  info: NavigationInfo,
+  signal?: AbortSignal,
+  resolveAsync?: Function, // 解析异步组件的守卫，resolve时触发componentsResolved事件
+  untimed: Array<Function>, // 不计入guardTimeout的守卫
+  emit: (name: string, payload?: Object) => void,
+  isActive: () => boolean, // 守卫所属的导航或视图是否仍然有效
+  isSettled: () => boolean, // 已经失败，忽略守卫之后的next调用
+  abort: (err: any) => void, // 被取消或者守卫抛出错误
+  reject: (err: any) => void, // 守卫next(false)、next(error)或者超时
+  redirect: (location: any) => void // 守卫next('/other')
+}
+
+/**
+ * @description 返回runQueue使用的iterator，逐个调用导航守卫并处理传给next的参数。
+ * 设置了guardTimeout时守卫超时未resolve则失败，守卫resolve后触发guardResolved事件
+ * @param {Router} router
+ * @param {GuardRun} run
+ * @returns {Function} iterator(hook, next)
+ */
+function createGuardIterator (router: Router, run: GuardRun) {
+  const { route, from } = run
+  /**
+   *
+   * @param {NavigationGuard} hook 需要被运行的钩子函数
+   * @param {Function} next 运行完当前钩子函数后，调用next开始下一个钩子函数运行
+   */
+  return (hook: NavigationGuard, next: Function) => {
+    if (!run.isActive()) {
+      return run.abort(new NavigationCancelled(from, route))
+    }
+    // 设置了guardTimeout时，守卫超时未resolve则中断导航。异步组件和loader受网络影响，不计入超时
+    const guardTimeout = router.options.guardTimeout
+    let timer
+    let timedOut = false
+    if (
+      typeof guardTimeout === 'number' &&
+      guardTimeout > 0 &&
+      run.untimed.indexOf(hook) < 0
+    ) {
+      timer = setTimeout(() => {
+        timedOut = true
+        if (!run.isActive()) return
+        if (process.env.NODE_ENV !== 'production') {
+          warn(
+            false,
+            `${describeGuard(hook, getGuardInfo(hook, router, run.records))} did not resolve ` +
+              `within ${guardTimeout}ms when navigating to "${route.fullPath}". ` +
+              `Make sure it calls next() or returns a value.`
+          )
+        }
+        run.reject(new NavigationGuardTimeout(from, route, guardTimeout))
+      }, guardTimeout)
+    }
+    const guardStart = Time.now()
+    // 守卫resolve后触发事件，guardDuration为守卫自身的耗时，result为传给next的参数
+    const emitResolved = result => {
+      if (hook === run.resolveAsync) {
+        run.emit('componentsResolved', { guardDuration: Time.now() - guardStart, result })
+      } else {
+        run.emit('guardResolved', {
+          guard: getGuardInfo(hook, router, run.records),
+          guardDuration: Time.now() - guardStart,
+          result
+        })
+      }
+    }
+    try {
+      // 调用设置到NavigationGuard(to, from, next)
+      // 守卫可以调用next，也可以直接返回next的参数（或者返回一个Promise）
+      callGuard(hook, undefined, route, from, (to: any) => {
+        // 已经超时或者已经失败时，忽略守卫之后的next调用
+        if (timedOut || run.isSettled()) return
+        clearTimeout(timer)
+        emitResolved(to)
+        if (to === false || isError(to)) {
+          // next(false) -> abort navigation, ensure current URL
+          run.reject(to === false ? new NavigationAborted(from, route) : to)
+        } else if (
+          typeof to === 'string' ||
+          (typeof to === 'object' &&
+            (typeof to.path === 'string' || typeof to.name === 'string'))
+        ) {
+          // 如果用户在next中传入了path或者对象，则意味用户想要重定向路由导航
+          // next('/') or next({ path: '/' }) -> redirect
+          run.redirect(to)
+        } else {
+          // confirm transition and pass on the value
+          // 确认继续导航
+          next(to)
+        }
+      }, run.signal, run.info)
+    } catch (e) {
+      clearTimeout(timer)
+      emitResolved(e)
+      run.abort(e)
+    }
+  }
+}
+
 /**
  * @description 传入RouteRecord对象，从RouteRecord的components中提取指定name的路由导航钩子函数
  * @param {*} records 传入的RouteRecord对象数组，其中的components属性引用这组件实例
@@ -362,13 +685,68 @@ function extractGuards (
     // 所以只有注册到routeConfig的组件的路由独享守卫才会被调用
     const guard = extractGuard(def, name)
     if (guard) {
+      const bindWithInfo = guard => {
+        const bound = bind(guard, instance, match, key)
+        if (bound) {
+          // 记录守卫的来源，用于导航事件以及守卫超时时的提示
+          bound._guardInfo = { name, record: match, component: getComponentName(def, key) }
+        }
+        return bound
+      }
       return Array.isArray(guard)
-        ? guard.map(guard => bind(guard, instance, match, key))
-        : bind(guard, instance, match, key)
+        ? guard.map(bindWithInfo)
+        : bindWithInfo(guard)
     }
   })
   return flatten(reverse ? guards.reverse() : guards)
 }
+function getComponentName (def: Object | Function, key: string): string {
+  const options = typeof def === 'function' ? def.options : def
+  return (options && options.name) || `<${key} view>`
+}
+
+// 获取导航守卫的来源：守卫名称，以及它所属的routeRecord和组件（如果有）
+function getGuardInfo (
+  hook: Function,
+  router: Router,
+  activated: Array<RouteRecord>
+): { name: string, record?: RouteRecord, component?: string } {
+  if (hook._guardInfo) {
+    return hook._guardInfo
+  }
+  if (router.beforeHooks.indexOf(hook) > -1) {
+    return { name: 'beforeEach' }
+  }
+  if (router.resolveHooks.indexOf(hook) > -1) {
+    return { name: 'beforeResolve' }
+  }
+  for (let i = 0; i < activated.length; i++) {
+    if (activated[i].beforeEnter === hook) {
+      return { name: 'beforeEnter', record: activated[i] }
+    }
+  }
+  return { name: 'unknown' }
+}
+
+// 描述一个导航守卫的来源，用于开发环境下的提示
+function describeGuard (
+  hook: Function,
+  info: { name: string, record?: RouteRecord, component?: string }
+): string {
+  const { name, record, component } = info
+  if (record && component) {
+    return `"${name}" guard of component "${component}" in route "${record.path || '/'}"`
+  }
+  const fnName = hook.name ? ` "${hook.name}"` : ''
+  if (record) {
+    const components = Object.keys(record.components)
+      .map(key => getComponentName(record.components[key], key))
+      .join(', ')
+    return `"${name}" guard${fnName} of route "${record.path || '/'}" (components: ${components})`
+  }
+  return `Global ${name} guard${fnName}`
+}
+
 // 从VueOptions中获取指定key的value
 function extractGuard (
   def: Object | Function,
@@ -378,7 +756,8 @@ function extractGuard (
     // extend now so that global mixins are applied.
     def = _Vue.extend(def)
   }
-  return def.options[key]
+  // 还没有加载完成的异步组件(使用了errorComponent或loadingComponent的路由)没有守卫
+  return def.options && def.options[key]
 }
 
 function extractLeaveGuards (deactivated: Array<RouteRecord>): Array<?Function> {
@@ -392,11 +771,85 @@ function extractUpdateHooks (updated: Array<RouteRecord>): Array<?Function> {
 // 传入路由导航钩子和vue实例，返回一个绑定了vue实例调用的路由钩子函数
 function bindGuard (guard: NavigationGuard, instance: ?_Vue): ?NavigationGuard {
   if (instance) {
-    return function boundRouteGuard () {
+    // NOTE: 守卫的返回值已经由内层的callGuard处理，包装函数声明next参数并且不返回值，只通过next resolve
+    return function boundRouteGuard (to, from, next, signal, info) {
       // 绑定this指针
-      return guard.apply(instance, arguments)
+      callGuard(guard, instance, to, from, next, signal, info)
+    }
+  }
+}
+
+/**
+ * @description 调用导航守卫。守卫同步调用了next时忽略它的返回值；否则返回Promise时使用Promise的结果，
+ * 返回其他值时使用这个值作为next的参数。Promise被reject时以错误中断导航。
+ * 声明了next参数的守卫(guard.length >= 3)返回undefined或者next不能理解的值时等待next被调用，其余守卫继续导航。
+ * 守卫之后再调用next或者Promise之后才完成时，只有第一次resolve生效
+ * @param {NavigationGuard} guard
+ * @param {*} context 守卫中的this
+ * @param {Route} to
+ * @param {Route} from
+ * @param {Function} next
+ * @param {AbortSignal} [signal] 作为第四个参数传给守卫
+ * @param {NavigationInfo} [info] 导航的类型、方向和步数，作为第五个参数传给守卫
+ */
+function callGuard (
+  guard: NavigationGuard,
+  context: any,
+  to: Route,
+  from: Route,
+  next: Function,
+  signal?: AbortSignal,
+  info?: NavigationInfo
+) {
+  let resolved = false
+  const resolve = (to?: any) => {
+    if (resolved) return
+    resolved = true
+    next(to)
+  }
+  // 声明了next参数的守卫只以next能理解的返回值resolve，返回undefined或者
+  // 其他值(例如(to, from, next) => setTimeout(next)返回的定时器)时等待next被调用
+  const resolveValue = (value: any) => {
+    if (guard.length < 3 || isNextArgument(value)) {
+      resolve(value)
     }
   }
+  const res = guard.call(context, to, from, resolve, signal, info)
+  // 守卫已经同步调用了next
+  if (resolved) return
+  if (res && typeof res.then === 'function') {
+    res.then(resolveValue, err => {
+      resolve(toGuardError(err))
+    })
+  } else {
+    resolveValue(res)
+  }
+}
+
+// next(false)、next(true)、next(error)以及重定向的location
+function isNextArgument (value: any): boolean {
+  return (
+    typeof value === 'boolean' ||
+    typeof value === 'string' ||
+    isError(value) ||
+    (value !== null &&
+      typeof value === 'object' &&
+      (typeof value.path === 'string' || typeof value.name === 'string'))
+  )
+}
+
+// Promise被reject的原因不是Error时包装为Error，原来的值保存在cause上
+function toGuardError (reason: any): Error {
+  if (isError(reason)) {
+    return reason
+  }
+  const err: any = new Error(
+    typeof reason === 'string'
+      ? reason
+      : `Navigation guard rejected ${reason === undefined ? 'without a reason' : 'with a non-Error reason'}`
+  )
+  err.cause = reason
+  return err
 }
 
 function extractEnterGuards (
@@ -408,6 +861,9 @@ function extractEnterGuards (
     activated,
     'beforeRouteEnter',
     (guard, _, match, key) => {
+      // 还在加载中的视图，在加载完成并且导航结束后由confirmLazyView运行守卫
+      const status = match.asyncStatus && match.asyncStatus[key]
+      if (status && status.loading) return
       return bindEnterGuard(guard, match, key, cbs, isValid)
     }
   )
@@ -420,8 +876,8 @@ function bindEnterGuard (
   cbs: Array<Function>,
   isValid: () => boolean
 ): NavigationGuard {
-  return function routeEnterGuard (to, from, next) {
-    return guard(to, from, cb => {
+  return function routeEnterGuard (to, from, next, signal, info) {
+    callGuard(guard, undefined, to, from, cb => {
       if (typeof cb === 'function') {
         cbs.push(() => {
           // #750
@@ -433,7 +889,7 @@ function bindEnterGuard (
         })
       }
       next(cb)
-    })
+    }, signal, info)
   }
 }
 
@@ -1,11 +1,23 @@
-export class NavigationDuplicated extends Error {
-  constructor (normalizedLocation) {
+// 导航失败的类型，使用位标记，方便isNavigationFailure同时判断多种类型
+export const NavigationFailureType = {
+  redirected: 1, // 导航守卫中next('/other')重定向
+  aborted: 2, // 导航守卫中next(false)取消
+  cancelled: 4, // 导航过程中被新的导航打断
+  duplicated: 8 // 导航到当前位置
+}
+
+// 导航失败的基类，from和to分别是导航开始时的route对象和导航目标的route对象
+export class NavigationFailure extends Error {
+  constructor (from, to, type, name, message) {
     super()
-    this.name = this._name = 'NavigationDuplicated'
+    this.name = this._name = name
     // passing the message to super() doesn't seem to work in the transpiled version
-    this.message = `Navigating to current location ("${
-      normalizedLocation.fullPath
-    }") is not allowed`
+    this.message = message
+    this.from = from
+    this.to = to
+    this.type = type
+    // instanceof is not reliable on transpiled Error subclasses
+    this._isRouter = true
     // add a stack property so services like Sentry can correctly display it
     Object.defineProperty(this, 'stack', {
       value: new Error().stack,
@@ -18,5 +30,118 @@ export class NavigationDuplicated extends Error {
   }
 }
 
+export class NavigationDuplicated extends NavigationFailure {
+  constructor (from, to) {
+    super(
+      from,
+      to,
+      NavigationFailureType.duplicated,
+      'NavigationDuplicated',
+      `Navigating to current location ("${to.fullPath}") is not allowed`
+    )
+  }
+}
+
+// reason说明导航被取消的原因，默认为被新的导航打断
+export class NavigationCancelled extends NavigationFailure {
+  constructor (from, to, reason = 'with a new navigation') {
+    super(
+      from,
+      to,
+      NavigationFailureType.cancelled,
+      'NavigationCancelled',
+      `Navigation cancelled from "${from.fullPath}" to "${
+        to.fullPath
+      }" ${reason}.`
+    )
+  }
+}
+
+export class NavigationAborted extends NavigationFailure {
+  constructor (from, to) {
+    super(
+      from,
+      to,
+      NavigationFailureType.aborted,
+      'NavigationAborted',
+      `Navigation aborted from "${from.fullPath}" to "${
+        to.fullPath
+      }" via a navigation guard.`
+    )
+  }
+}
+
+export class NavigationRedirected extends NavigationFailure {
+  constructor (from, to) {
+    super(
+      from,
+      to,
+      NavigationFailureType.redirected,
+      'NavigationRedirected',
+      `Redirected when going from "${from.fullPath}" to "${
+        to.fullPath
+      }" via a navigation guard.`
+    )
+  }
+}
+
+// 导航守卫超过router.options.guardTimeout仍未resolve时产生的错误，会传递给onError回调
+export class NavigationGuardTimeout extends Error {
+  constructor (from, to, timeout) {
+    super()
+    this.name = this._name = 'NavigationGuardTimeout'
+    this.message = `Navigation guard timed out after ${timeout}ms when going from "${
+      from.fullPath
+    }" to "${to.fullPath}".`
+    this.from = from
+    this.to = to
+    Object.defineProperty(this, 'stack', {
+      value: new Error().stack,
+      writable: true,
+      configurable: true
+    })
+  }
+}
+
+// 异步路由组件最终加载失败时产生的错误，record和view指出加载失败的路由记录和命名视图，cause为最后一次失败的原因
+export class ComponentLoadError extends Error {
+  constructor (record, view, attempts, cause) {
+    super()
+    this.name = this._name = 'ComponentLoadError'
+    this.message = `Failed to resolve async component "${view}" of route "${record.path || '/'}"${
+      attempts > 1 ? ` after ${attempts} attempts` : ''
+    }: ${cause && cause.message ? cause.message : cause}`
+    this.record = record
+    this.view = view
+    this.attempts = attempts
+    this.cause = cause
+    Object.defineProperty(this, 'stack', {
+      value: new Error().stack,
+      writable: true,
+      configurable: true
+    })
+  }
+}
+
 // support IE9
 NavigationDuplicated._name = 'NavigationDuplicated'
+NavigationCancelled._name = 'NavigationCancelled'
+NavigationAborted._name = 'NavigationAborted'
+NavigationRedirected._name = 'NavigationRedirected'
+NavigationGuardTimeout._name = 'NavigationGuardTimeout'
+ComponentLoadError._name = 'ComponentLoadError'
+
+/**
+ * @description 判断err是否为导航失败对象，传入type时还会判断是否为指定的失败类型
+ * @export
+ * @param {*} err
+ * @param {number} [type] NavigationFailureType中的值，可以用 | 组合多个类型
+ * @returns {boolean}
+ */
+export function isNavigationFailure (err, type) {
+  return (
+    !!err &&
+    err._isRouter === true &&
+    (type == null || (err.type & type) !== 0)
+  )
+}
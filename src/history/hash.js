@@ -5,11 +5,26 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { getLocation } from './html5'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getHistoryState,
+  getHistoryBackground,
+  setupStateKey,
+  createBackgroundStore
+} from '../util/push-state'
+import { popStateKey } from '../util/state-key'
 
 export class HashHistory extends History {
+  backgrounds: BackgroundStore
+  scrollPositions: Dictionary<SavedPosition>
+
   constructor (router: Router, base: ?string, fallback: boolean) {
     super(router, base)
+    this.backgrounds = createBackgroundStore()
+    // $flow-disable-line 以历史记录的key保存离开时的滚动位置
+    this.scrollPositions = Object.create(null)
     // check history fallback deeplinking
     if (fallback && checkFallback(this.base)) {
       return
@@ -29,8 +44,11 @@ export class HashHistory extends History {
     const expectScroll = router.options.scrollBehavior
     const supportsScroll = supportsPushState && expectScroll
 
+    if (supportsPushState) {
+      setupStateKey()
+    }
     if (supportsScroll) {
-      setupScroll()
+      setupScroll(this)
     }
 
     window.addEventListener(
@@ -40,10 +58,21 @@ export class HashHistory extends History {
       () => {
         // 触发事件时，url地址已经改变，但是框架导航并未开始
         const current = this.current
+        const state = supportsPushState ? window.history.state : null
+        this.pendingNavigation = popStateKey(state)
+        if (supportsPushState && (!state || !state.key)) {
+          // 不是由router创建的历史记录没有key，写入新的key和position，已有的key不能被覆盖
+          setupStateKey()
+        }
         if (!ensureSlash()) {
           return
         }
-        this.transitionTo(getHash(), route => {
+        // 从历史记录中恢复route.state和背景route，不支持pushState时无法保存
+        this.transitionTo({
+          path: getHash(),
+          state: getHistoryState(),
+          background: getHistoryBackground(this.backgrounds)
+        }, route => {
           if (supportsScroll) {
             handleScroll(this.router, route, current, true)
           }
@@ -55,31 +84,45 @@ export class HashHistory extends History {
     )
   }
 
-  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  push (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
     const { current: fromRoute } = this
+    this.pendingNavigation = { type: 'push', direction: 'forward', delta: 1 }
     this.transitionTo(
       location,
       route => {
         // url地址栏切换
-        pushHash(route.fullPath)
+        pushHash(route.fullPath, route, this)
         handleScroll(this.router, route, fromRoute, false)
         onComplete && onComplete(route)
       },
-      onAbort
+      onAbort,
+      signal
     )
   }
 
-  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  replace (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
     const { current: fromRoute } = this
+    this.pendingNavigation = { type: 'replace', direction: 'unknown', delta: 0 }
     this.transitionTo(
       location,
       route => {
         // url地址栏切换
-        replaceHash(route.fullPath)
+        replaceHash(route.fullPath, route, this)
         handleScroll(this.router, route, fromRoute, false)
         onComplete && onComplete(route)
       },
-      onAbort
+      onAbort,
+      signal
     )
   }
 
@@ -91,13 +134,19 @@ export class HashHistory extends History {
   ensureURL (push?: boolean) {
     const current = this.current.fullPath
     if (getHash() !== current) {
-      push ? pushHash(current) : replaceHash(current)
+      push
+        ? pushHash(current, this.current, this)
+        : replaceHash(current, this.current, this)
     }
   }
 
   getCurrentLocation () {
     return getHash()
   }
+
+  getCurrentState (): ?Object {
+    return getHistoryState()
+  }
 }
 
 function checkFallback (base) {
@@ -176,19 +225,19 @@ function getUrl (path) {
  * @description 调用浏览器原生方法，改变url地址栏
  * @param {*} path
  */
-function pushHash (path) {
+function pushHash (path, route, history) {
   if (supportsPushState) {
-    pushState(getUrl(path))
+    pushState(getUrl(path), false, route, history)
   } else {
     window.location.hash = path
   }
 }
 // 将地址栏修改为 .../#....
-function replaceHash (path) {
+function replaceHash (path, route, history) {
   if (supportsPushState) {
     // 调用history.replaceState 将地址栏修改为 .../#....
     // 因为调用
-    replaceState(getUrl(path))
+    replaceState(getUrl(path), route, history)
   } else {
     window.location.replace(getUrl(path))
   }
@@ -5,20 +5,36 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { START } from '../util/route'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getHistoryState,
+  getHistoryBackground,
+  setupStateKey,
+  createBackgroundStore
+} from '../util/push-state'
+import { popStateKey } from '../util/state-key'
 
 // 封装了html5 history对象的类
 export class HTML5History extends History {
+  backgrounds: BackgroundStore
+  scrollPositions: Dictionary<SavedPosition>
+
   constructor (router: Router, base: ?string) {
     super(router, base)
+    this.backgrounds = createBackgroundStore()
+    // $flow-disable-line 以历史记录的key保存离开时的滚动位置
+    this.scrollPositions = Object.create(null)
 
     // https://router.vuejs.org/zh/guide/advanced/scroll-behavior.html#%E6%BB%9A%E5%8A%A8%E8%A1%8C%E4%B8%BA
     // vueRouter支持导航时的滚动位置控制
     const expectScroll = router.options.scrollBehavior
     const supportsScroll = supportsPushState && expectScroll
 
+    setupStateKey()
     if (supportsScroll) {
-      setupScroll()
+      setupScroll(this)
     }
     // 获取对象初始化时的url，并保存
     const initLocation = getLocation(this.base)
@@ -26,6 +42,11 @@ export class HTML5History extends History {
     window.addEventListener('popstate', e => {
       // NOTE: // 触发事件时，url地址已经改变，但是框架导航并未开始
       const current = this.current
+      this.pendingNavigation = popStateKey(e.state)
+      // 不是由router创建的历史记录没有key，写入新的key和position，已有的key不能被覆盖
+      if (!e.state || !e.state.key) {
+        setupStateKey()
+      }
 
       // Avoiding first `popstate` event dispatched in some browsers but first
       // history route not updated since async guard at the same time.
@@ -37,7 +58,12 @@ export class HTML5History extends History {
       }
       // 如果用户点击浏览器的前进后退按钮会触发popstate事件，然后开始框架导航处理
       // 由于popState事件会在url改变后触发，所以location是toRoute的path
-      this.transitionTo(location, route => {
+      // 从历史记录中恢复route.state，以及modal路由的背景route
+      this.transitionTo({
+        path: location,
+        state: getHistoryState(),
+        background: getHistoryBackground(this.backgrounds)
+      }, route => {
         // 处理滚动
         if (supportsScroll) {
           handleScroll(router, route, current, true)
@@ -50,35 +76,49 @@ export class HTML5History extends History {
     window.history.go(n)
   }
 
-  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  push (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
     const { current: fromRoute } = this // 当前route作为fromRoute
+    this.pendingNavigation = { type: 'push', direction: 'forward', delta: 1 }
     // 开始导航
     this.transitionTo(location, route => {
       // 此时已经完成导航，以及所有导航守卫的调用
       // 改变url地址栏
-      pushState(cleanPath(this.base + route.fullPath))
+      pushState(cleanPath(this.base + route.fullPath), false, route, this)
       // 处理页面滚动
       handleScroll(this.router, route, fromRoute, false)
       // 回调用户设置的回调函数
       onComplete && onComplete(route)
-    }, onAbort)
+    }, onAbort, signal)
   }
 
-  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  replace (
+    location: RawLocation,
+    onComplete?: Function,
+    onAbort?: Function,
+    signal?: AbortSignal
+  ) {
     const { current: fromRoute } = this
+    this.pendingNavigation = { type: 'replace', direction: 'unknown', delta: 0 }
     // 开始导航
     this.transitionTo(location, route => {
-      replaceState(cleanPath(this.base + route.fullPath))
+      replaceState(cleanPath(this.base + route.fullPath), route, this)
       handleScroll(this.router, route, fromRoute, false)
       onComplete && onComplete(route)
-    }, onAbort)
+    }, onAbort, signal)
   }
   // 调用原生history对象方法，确认改变url地址栏
   ensureURL (push?: boolean) {
     if (getLocation(this.base) !== this.current.fullPath) {
       // 使用route对象的fullPath进行url切换。fullPath的url是已经encode过后的
       const current = cleanPath(this.base + this.current.fullPath)
-      push ? pushState(current) : replaceState(current)
+      push
+        ? pushState(current, false, this.current, this)
+        : replaceState(current, this.current, this)
     }
   }
 
@@ -86,6 +126,11 @@ export class HTML5History extends History {
   getCurrentLocation (): string {
     return getLocation(this.base)
   }
+
+  // 获取当前历史记录中保存的route.state
+  getCurrentState (): ?Object {
+    return getHistoryState()
+  }
 }
 
 // 获取当前url，如果有base参数，则除去base
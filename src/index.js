@@ -2,16 +2,21 @@
 
 import { install } from './install'
 import { START } from './util/route'
-import { assert } from './util/warn'
+import { assert, warn } from './util/warn'
 import { inBrowser } from './util/dom'
 import { cleanPath } from './util/path'
 import { createMatcher } from './create-matcher'
 import { normalizeLocation } from './util/location'
 import { supportsPushState } from './util/push-state'
+import { setupDevtools } from './util/devtools'
+import { prefetchAsyncComponents } from './util/resolve-components'
+import { registerScrollContainer } from './util/scroll'
+import { setupA11y } from './util/a11y'
 
 import { HashHistory } from './history/hash'
 import { HTML5History } from './history/html5'
 import { AbstractHistory } from './history/abstract'
+import { NavigationFailureType, isNavigationFailure } from './history/errors'
 
 import type { Matcher } from './create-matcher'
 
@@ -20,6 +25,8 @@ export default class VueRouter {
   // Vue.use(VueRouter); 静态方法，Vue插件方式调用
   static install: () => void; // 后续会赋值成一个install函数
   static version: string;
+  static isNavigationFailure: Function;
+  static NavigationFailureType: { [key: string]: number };
 
   app: any;
   apps: Array<any>;
@@ -33,6 +40,8 @@ export default class VueRouter {
   beforeHooks: Array<?NavigationGuard>; // beforeEach
   resolveHooks: Array<?NavigationGuard>; // beforeResolve
   afterHooks: Array<?AfterNavigationHook>; // afterEach
+  listeners: Dictionary<Array<Function>>; // 导航生命周期事件的监听函数
+  scrollContainers: Dictionary<string | Element>; // 注册的滚动容器，id => 选择器或者元素
 
   constructor (options: RouterOptions = {}) {
     this.app = null // 当前激活使用的app
@@ -41,6 +50,16 @@ export default class VueRouter {
     this.beforeHooks = [] // 钩子数组
     this.resolveHooks = []
     this.afterHooks = []
+    // $flow-disable-line
+    this.listeners = Object.create(null)
+    // $flow-disable-line
+    this.scrollContainers = Object.create(null)
+    const containers = options.scrollContainers
+    if (containers) {
+      Object.keys(containers).forEach(id => {
+        registerScrollContainer(this, id, containers[id])
+      })
+    }
     // 匹配器
     this.matcher = createMatcher(options.routes || [], this)
 
@@ -70,6 +89,8 @@ export default class VueRouter {
           assert(false, `invalid mode: ${mode}`)
         }
     }
+
+    setupA11y(this)
   }
 
   match (
@@ -119,11 +140,16 @@ export default class VueRouter {
 
     this.app = app
 
+    // 向devtools发布router的状态，生产环境下会被移除
+    if (process.env.NODE_ENV !== 'production') {
+      setupDevtools(this)
+    }
+
     const history = this.history
 
     if (history instanceof HTML5History) {
       // 初始化后开始对当前url进行导航
-      history.transitionTo(history.getCurrentLocation())
+      history.transitionTo(getCurrentLocation(history))
     } else if (history instanceof HashHistory) {
       // 初始化后对当前url进行导航
       const setupHashListener = () => {
@@ -132,13 +158,16 @@ export default class VueRouter {
       }
       // 开始首次导航
       history.transitionTo(
-        history.getCurrentLocation(),
+        getCurrentLocation(history),
         // NOTE: 因为hash模式下，首次导航可能会触发hashChange事件，而对hashChange事件的监听处理中又
         // 存在着导航处理，所以这里需要等待首次导航结束后才对hashChange事件进行监听
         // history模式不存在这个问题，因为调用pushState和replaceState都不会触发popState事件。
         setupHashListener, // onComplete
         setupHashListener // onAbort
       )
+    } else if (history instanceof AbstractHistory && history.index > -1) {
+      // 使用了initialEntries，对初始位置的记录进行导航确认，不修改历史记录栈，也不通知change监听
+      history.transitionTo(getCurrentLocation(history))
     }
     // ??
     history.listen(route => {
@@ -162,6 +191,40 @@ export default class VueRouter {
     return registerHook(this.afterHooks, fn)
   }
 
+  // 监听导航生命周期事件，返回一个取消监听的函数
+  on (name: string, fn: Function): Function {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(
+        navigationEvents.indexOf(name) > -1,
+        `unknown navigation event "${name}", expected one of: ${navigationEvents.join(', ')}`
+      )
+    }
+    return registerHook(this.listeners[name] || (this.listeners[name] = []), fn)
+  }
+
+  // 触发导航生命周期事件，由History在导航的各个阶段调用
+  emit (name: string, payload: Object) {
+    const listeners = this.listeners[name]
+    if (!listeners) return
+    // 复制一份，避免在监听函数中取消监听时影响遍历
+    listeners.slice().forEach(fn => {
+      // 监听函数中的错误不应该中断导航，交给onError回调处理
+      try {
+        fn(payload)
+      } catch (e) {
+        const errorCbs = this.history.errorCbs
+        if (errorCbs.length) {
+          errorCbs.forEach(cb => {
+            cb(e)
+          })
+        } else {
+          warn(false, `uncaught error in "${name}" listener:`)
+          console.error(e)
+        }
+      }
+    })
+  }
+
   onReady (cb: Function, errorCb?: Function) {
     this.history.onReady(cb, errorCb)
   }
@@ -171,7 +234,24 @@ export default class VueRouter {
   }
 
   // router.push方法
-  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  // router.push(location, { signal })时，signal触发abort事件会取消导航，返回的promise以NavigationCancelled reject
+  push (
+    location: RawLocation,
+    onComplete?: Function | NavigationOptions,
+    onAbort?: Function
+  ) {
+    if (onComplete && typeof onComplete === 'object') {
+      const { signal } = onComplete
+      // $flow-disable-line
+      if (typeof Promise !== 'undefined') {
+        return new Promise((resolve, reject) => {
+          this.history.push(location, resolve, reject, signal)
+        })
+      }
+      // 不支持promise时不返回promise，signal仍然可以取消导航
+      this.history.push(location, undefined, undefined, signal)
+      return
+    }
     // $flow-disable-line
     if (!onComplete && !onAbort && typeof Promise !== 'undefined') {
       // 如果没有定义onComplete和onAbort且存在promise，则返回一个promise
@@ -185,7 +265,23 @@ export default class VueRouter {
   }
 
   // router.replace方法
-  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+  replace (
+    location: RawLocation,
+    onComplete?: Function | NavigationOptions,
+    onAbort?: Function
+  ) {
+    if (onComplete && typeof onComplete === 'object') {
+      const { signal } = onComplete
+      // $flow-disable-line
+      if (typeof Promise !== 'undefined') {
+        return new Promise((resolve, reject) => {
+          this.history.replace(location, resolve, reject, signal)
+        })
+      }
+      // 不支持promise时不返回promise，signal仍然可以取消导航
+      this.history.replace(location, undefined, undefined, signal)
+      return
+    }
     // $flow-disable-line
     if (!onComplete && !onAbort && typeof Promise !== 'undefined') {
       return new Promise((resolve, reject) => {
@@ -195,6 +291,52 @@ export default class VueRouter {
       this.history.replace(location, onComplete, onAbort)
     }
   }
+  /**
+   * @description 服务端渲染时，导航到指定url并返回渲染需要的信息：运行所有导航守卫，
+   * 解析异步组件后返回匹配的组件、守卫或者路由配置产生的重定向以及响应状态码。
+   * 只跟随这次调用发起的导航及其重定向，不受同时进行的其他导航影响；导航失败时同样resolve，
+   * 守卫next(false)时status为403，出错或者被取消时为500，error为失败的原因
+   * @param {RawLocation} location 请求的url
+   * @returns {Promise<{ route: Route, components: Array<any>, redirect: ?string, status: number, error: ?Error }>}
+   * @memberof VueRouter
+   */
+  resolveForServer (location: RawLocation) {
+    // $flow-disable-line
+    return new Promise(resolve => {
+      let redirected = false
+      const onComplete = (route: Route) => {
+        const redirect = redirected || route.redirectedFrom ? route.fullPath : null
+        resolve({
+          route,
+          components: this.getMatchedComponents(route),
+          redirect,
+          status: redirect ? 302 : route.matched.length ? 200 : 404,
+          error: null
+        })
+      }
+      const onAbort = err => {
+        if (isNavigationFailure(err, NavigationFailureType.redirected)) {
+          // 守卫重定向后会从新的位置重新开始导航，等待这个导航结束
+          redirected = true
+          err._redirect = { onComplete, onAbort }
+        } else if (isNavigationFailure(err, NavigationFailureType.duplicated)) {
+          // 已经处于目标位置
+          onComplete(this.history.current)
+        } else {
+          resolve({
+            // 导航失败时为导航的目标route，无法得知时为当前route
+            route: err.to || this.history.current,
+            components: [],
+            redirect: null,
+            status: isNavigationFailure(err, NavigationFailureType.aborted) ? 403 : 500,
+            error: err
+          })
+        }
+      }
+      this.history.push(location, onComplete, onAbort)
+    })
+  }
+
   // router.go方法
   go (n: number) {
     this.history.go(n)
@@ -256,15 +398,65 @@ export default class VueRouter {
       resolved: route
     }
   }
-  // 动态注册route对象
-  addRoutes (routes: Array<RouteConfig>) {
-    this.matcher.addRoutes(routes)
-    if (this.history.current !== START) {
-      this.history.transitionTo(this.history.getCurrentLocation())
+
+  /**
+   * @description 提前加载location匹配的路由的异步组件，不运行导航守卫，也不改变当前route
+   * @param {RawLocation} location
+   * @returns {?Promise<Route>} 组件加载完成后resolve匹配的route，加载失败时reject加载失败的原因，配置了重试时为ComponentLoadError。
+   * 不支持Promise的环境下返回undefined
+   * @memberof VueRouter
+   */
+  preload (location: RawLocation) {
+    const route = this.match(location, this.history.current)
+    const loading = prefetchAsyncComponents(route.matched, this)
+    return loading && loading.then(() => route)
+  }
+  // 注册一个需要保存和恢复滚动位置的容器，返回一个取消注册的函数
+  registerScrollContainer (id: string, container: string | Element): Function {
+    return registerScrollContainer(this, id, container)
+  }
+  // 动态注册route对象，返回一个移除这些route的函数
+  addRoutes (routes: Array<RouteConfig>): Function {
+    const remove = this.matcher.addRoutes(routes)
+    rematchCurrentLocation(this)
+    return () => {
+      remove()
+      rematchCurrentLocation(this)
+    }
+  }
+  // 动态注册单个route对象，传入父路由name时作为其子路由注册，返回一个移除该route的函数
+  addRoute (parentOrRoute: string | RouteConfig, route?: RouteConfig): Function {
+    const remove = this.matcher.addRoute(parentOrRoute, route)
+    rematchCurrentLocation(this)
+    return () => {
+      remove()
+      rematchCurrentLocation(this)
     }
   }
+  // 根据name动态移除route对象，它的子路由和别名路由会一并被移除
+  removeRoute (name: string) {
+    this.matcher.removeRoute(name)
+    rematchCurrentLocation(this)
+  }
+
+  hasRoute (name: string): boolean {
+    return this.matcher.hasRoute(name)
+  }
+  // 获取所有已注册的routeRecord
+  getRoutes (): Array<RouteRecord> {
+    return this.matcher.getRoutes()
+  }
 }
 
+// router.on支持的导航生命周期事件
+const navigationEvents = [
+  'navigationStart',
+  'guardResolved',
+  'componentsResolved',
+  'navigationEnd',
+  'navigationFailed'
+]
+
 /**
  * @description 向指定数组注册一个回调钩子函数
  * @param {Array<any>} list
@@ -279,6 +471,27 @@ function registerHook (list: Array<any>, fn: Function): Function {
   }
 }
 
+// 路由表变化后，对当前url重新进行导航，使得当前route对象的matched与路由表保持一致
+function rematchCurrentLocation (router: VueRouter) {
+  if (router.history.current !== START) {
+    const { background } = router.history.current
+    const location = getCurrentLocation(router.history)
+    // 保留modal路由的背景
+    if (background) {
+      location.background = { path: background.fullPath, state: background.state }
+    }
+    router.history.transitionTo(location)
+  }
+}
+
+// 当前url，以及当前历史记录中保存的route.state
+function getCurrentLocation (history: HashHistory | HTML5History | AbstractHistory): Location {
+  return {
+    path: history.getCurrentLocation(),
+    state: history.getCurrentState()
+  }
+}
+
 function createHref (base: string, fullPath: string, mode) {
   var path = mode === 'hash' ? '#' + fullPath : fullPath
   return base ? cleanPath(base + '/' + path) : path
@@ -286,6 +499,8 @@ function createHref (base: string, fullPath: string, mode) {
 
 VueRouter.install = install
 VueRouter.version = '__VERSION__'
+VueRouter.isNavigationFailure = isNavigationFailure
+VueRouter.NavigationFailureType = NavigationFailureType
 
 if (inBrowser && window.Vue) {
   window.Vue.use(VueRouter)
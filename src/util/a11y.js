@@ -0,0 +1,99 @@
+/* @flow */
+
+import type Router from '../index'
+import { START } from './route'
+
+// 按顺序查找，标记了data-route-focus的元素优先于文档中位置更靠前的h1
+const DEFAULT_FOCUS = ['[data-route-focus]', 'h1']
+
+// 视觉上隐藏，读屏软件依然可以读取
+const VISUALLY_HIDDEN =
+  'position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;' +
+  'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap'
+
+/**
+ * @description 开启a11y配置后，每次导航完成并重新渲染之后，将焦点移动到新页面的目标元素，
+ * 并通过router创建的ARIA live region读出新页面的标题
+ * @export
+ * @param {Router} router
+ */
+export function setupA11y (router: Router) {
+  const options = router.options.a11y
+  if (!options) {
+    return
+  }
+  const {
+    focus = true,
+    announce = true,
+    politeness = 'polite'
+  } = typeof options === 'object' ? options : {}
+  let liveRegion
+
+  router.afterEach((to: Route, from: Route, failure?: Error) => {
+    // 首次导航时页面刚刚加载，焦点和读屏软件都已经在页面的开始位置
+    if (failure || from === START || !router.app || typeof document === 'undefined') {
+      return
+    }
+    // 等待新页面渲染完成，组件可能在渲染时更新document.title
+    router.app.$nextTick(() => {
+      if (focus) {
+        const el = resolveFocusTarget(focus, to, from)
+        el && focusElement(el)
+      }
+      if (announce) {
+        const message = typeof announce === 'function'
+          ? announce(to, from)
+          : document.title
+        if (message) {
+          if (!liveRegion || !liveRegion.parentNode) {
+            liveRegion = createLiveRegion(politeness)
+          }
+          announceMessage(liveRegion, message)
+        }
+      }
+    })
+  })
+}
+
+function resolveFocusTarget (focus: any, to: Route, from: Route): ?Element {
+  if (typeof focus !== 'function' && typeof focus !== 'string') {
+    for (let i = 0; i < DEFAULT_FOCUS.length; i++) {
+      const el = document.querySelector(DEFAULT_FOCUS[i])
+      if (el) return el
+    }
+    return
+  }
+  const target = typeof focus === 'function' ? focus(to, from) : focus
+  if (!target) {
+    return
+  }
+  return typeof target === 'string' ? document.querySelector(target) : target
+}
+
+function focusElement (el: any) {
+  // 标题等默认不能获得焦点的元素，设置tabindex="-1"使其可以通过脚本获得焦点，但不加入tab顺序
+  if (el.tabIndex < 0 && !el.hasAttribute('tabindex')) {
+    el.setAttribute('tabindex', '-1')
+  }
+  // 滚动位置交给scrollBehavior处理
+  el.focus({ preventScroll: true })
+}
+
+function createLiveRegion (politeness: string): Element {
+  const region = document.createElement('div')
+  region.setAttribute('aria-live', politeness)
+  region.setAttribute('aria-atomic', 'true')
+  region.setAttribute('data-router-announcer', '')
+  region.style.cssText = VISUALLY_HIDDEN
+  // $flow-disable-line
+  document.body.appendChild(region)
+  return region
+}
+
+function announceMessage (region: Element, message: string) {
+  // 先清空再写入，连续两次导航到标题相同的页面时也会再次读出
+  region.textContent = ''
+  setTimeout(() => {
+    region.textContent = message
+  }, 100)
+}
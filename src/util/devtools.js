@@ -0,0 +1,177 @@
+/* @flow */
+
+import type Router from '../index'
+import { inBrowser } from './dom'
+import { isError } from './warn'
+import { isNavigationFailure, NavigationFailureType } from '../history/errors'
+
+// 最多保留的导航记录条数，避免长时间运行时占用过多内存
+const MAX_TIMELINE_LENGTH = 100
+
+const target: any = inBrowser
+  ? window
+  : typeof global !== 'undefined'
+    ? global
+    : {}
+
+/**
+ * @description 向devtools的全局hook发布router的状态：路由表、当前route、正在导航的route以及导航记录
+ * 只在开发环境下调用，生产环境的构建会将其移除
+ * @export
+ * @param {Router} router
+ * @param {*} [hook] devtools的全局hook，默认为window.__VUE_DEVTOOLS_GLOBAL_HOOK__
+ */
+export function setupDevtools (
+  router: Router,
+  hook: any = target.__VUE_DEVTOOLS_GLOBAL_HOOK__
+) {
+  if (!hook) return
+
+  // 由devtools读取的状态对象，发布事件时同步更新
+  const state: Object = {
+    routes: [],
+    current: formatRoute(router.history.current),
+    pending: null,
+    timeline: []
+  }
+  // 正在进行中的导航记录，导航结束后移入timeline
+  const active = []
+  let records = []
+  let id = 0
+
+  const updateRoutes = () => {
+    const next = router.getRoutes()
+    if (
+      next.length !== records.length ||
+      next.some((record, i) => record !== records[i])
+    ) {
+      records = next
+      state.routes = formatRouteTree(records)
+      hook.emit('vue-router:routes', state.routes)
+    }
+  }
+
+  const findEntry = (to: Route) => {
+    for (let i = 0; i < active.length; i++) {
+      if (active[i].to === to) return active[i]
+    }
+  }
+
+  const finish = (to: Route, payload: Object, status: string) => {
+    const entry = findEntry(to)
+    if (!entry) return
+    active.splice(active.indexOf(entry), 1)
+    const item = entry.item
+    item.duration = payload.duration
+    item.status = status
+    if (payload.error) {
+      item.error = payload.error.message
+    }
+    state.timeline.push(item)
+    if (state.timeline.length > MAX_TIMELINE_LENGTH) {
+      state.timeline.shift()
+    }
+    // 被打断的导航结束后，仍在进行中的导航成为pending
+    state.pending = active.length ? formatRoute(active[active.length - 1].to) : null
+    hook.emit('vue-router:pending', state.pending)
+    hook.emit('vue-router:navigation', item)
+  }
+
+  router.on('navigationStart', ({ to, from, timestamp }) => {
+    updateRoutes()
+    const item = {
+      id: id++,
+      to: to.fullPath,
+      from: from.fullPath,
+      timestamp,
+      duration: 0,
+      status: 'pending',
+      error: undefined,
+      guards: []
+    }
+    active.push({ to, item })
+    state.pending = formatRoute(to)
+    hook.emit('vue-router:pending', state.pending)
+  })
+
+  router.on('guardResolved', ({ to, guard, duration, result }) => {
+    const entry = findEntry(to)
+    if (!entry) return
+    entry.item.guards.push({
+      name: guard.name,
+      record: guard.record ? guard.record.path || '/' : undefined,
+      component: guard.component,
+      duration,
+      outcome: getGuardOutcome(result)
+    })
+  })
+
+  router.on('navigationEnd', payload => {
+    state.current = formatRoute(payload.to)
+    hook.emit('vue-router:current', state.current)
+    finish(payload.to, payload, 'confirmed')
+  })
+
+  router.on('navigationFailed', payload => {
+    finish(payload.to, payload, getFailureStatus(payload.error))
+  })
+
+  updateRoutes()
+  hook.emit('vue-router:init', router, state)
+}
+
+// 转换为可以序列化的route对象，去掉matched中对组件实例的引用
+function formatRoute (route: Route): Object {
+  return {
+    name: route.name,
+    path: route.path,
+    fullPath: route.fullPath,
+    hash: route.hash,
+    query: route.query,
+    params: route.params,
+    meta: route.meta,
+    matched: route.matched.map(record => record.path || '/')
+  }
+}
+
+// 根据routeRecord的parent关系生成路由树
+function formatRouteTree (records: Array<RouteRecord>): Array<Object> {
+  const nodes = records.map(record => ({
+    path: record.path || '/',
+    name: record.name,
+    alias: !!record.matchAs,
+    redirect: !!record.redirect,
+    meta: record.meta,
+    children: []
+  }))
+  const roots = []
+  records.forEach((record, i) => {
+    const parentIndex = record.parent ? records.indexOf(record.parent) : -1
+    if (parentIndex > -1) {
+      nodes[parentIndex].children.push(nodes[i])
+    } else {
+      roots.push(nodes[i])
+    }
+  })
+  return roots
+}
+
+function getGuardOutcome (result: any): string {
+  if (result === false) return 'abort'
+  if (isError(result)) return 'error'
+  if (
+    typeof result === 'string' ||
+    (result && typeof result === 'object')
+  ) {
+    return 'redirect'
+  }
+  return 'next'
+}
+
+function getFailureStatus (error: any): string {
+  if (isNavigationFailure(error, NavigationFailureType.redirected)) return 'redirected'
+  if (isNavigationFailure(error, NavigationFailureType.aborted)) return 'aborted'
+  if (isNavigationFailure(error, NavigationFailureType.cancelled)) return 'cancelled'
+  if (isNavigationFailure(error, NavigationFailureType.duplicated)) return 'duplicated'
+  return 'error'
+}
@@ -85,6 +85,8 @@ export function normalizeLocation (
     _normalized: true,
     path, // Location path路径
     query, // Location query对象
-    hash // Location hash字符串
+    hash, // Location hash字符串
+    state: next.state, // 历史记录中保存的状态
+    background: next.background // modal路由的背景位置
   }
 }
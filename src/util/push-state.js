@@ -1,8 +1,15 @@
 /* @flow */
 
+import type Router from '../index'
 import { inBrowser } from './dom'
 import { saveScrollPosition } from './scroll'
-import { genStateKey, setStateKey, getStateKey } from './state-key'
+import {
+  genStateKey,
+  setStateKey,
+  getStateKey,
+  getStatePosition,
+  setStatePosition
+} from './state-key'
 import { extend } from './misc'
 
 export const supportsPushState =
@@ -22,29 +29,122 @@ export const supportsPushState =
     return window.history && 'pushState' in window.history
   })()
 
-// 对history.pushState的封装
-export function pushState (url?: string, replace?: boolean) {
-  // 保存当前页面滚动位置
-  saveScrollPosition()
+const MAX_BACKGROUNDS = 50
+
+/**
+ * @description 创建保存modal路由背景route的存储，每个history对象一个。
+ * 背景route不能序列化到history.state中，只以历史记录的key保存在内存中，刷新页面后modal路由会作为完整页面渲染。
+ * 只保存最近写入的MAX_BACKGROUNDS条记录
+ * @export
+ * @returns {BackgroundStore}
+ */
+export function createBackgroundStore (): BackgroundStore {
+  // keys按写入的先后排列，淘汰最早写入的记录
+  const keys = []
+  // $flow-disable-line
+  const backgrounds: Dictionary<Route> = Object.create(null)
+
+  return {
+    get (key: string): ?Route {
+      return backgrounds[key]
+    },
+
+    set (key: string, background: ?Route) {
+      // 替换历史记录时移除之前的背景route
+      const i = keys.indexOf(key)
+      if (i > -1) {
+        keys.splice(i, 1)
+        delete backgrounds[key]
+      }
+      if (!background) return
+      keys.push(key)
+      backgrounds[key] = background
+      if (keys.length > MAX_BACKGROUNDS) {
+        delete backgrounds[keys.shift()]
+      }
+    }
+  }
+}
+
+// 调用pushState的HTML5History和HashHistory
+type StateHistory = {
+  router: Router,
+  backgrounds: BackgroundStore,
+  scrollPositions: Dictionary<SavedPosition>
+}
+
+// 对history.pushState的封装，route.state和key一起保存在history.state中，route.background保存在routerHistory.backgrounds中
+export function pushState (
+  url?: string,
+  replace?: boolean,
+  route?: Route,
+  routerHistory?: StateHistory
+) {
+  // 保存当前页面和router注册的滚动容器的滚动位置
+  if (routerHistory) {
+    saveScrollPosition(routerHistory)
+  }
   // try...catch the pushState call to get around Safari
   // DOM Exception 18 where it limits to 100 pushState calls
   const history = window.history
+  const state = route && route.state
   try {
     if (replace) {
       // preserve existing history state as it could be overriden by the user
       const stateCopy = extend({}, history.state)
       stateCopy.key = getStateKey()
+      stateCopy.position = getStatePosition()
+      if (state) {
+        stateCopy.state = state
+      }
       history.replaceState(stateCopy, '', url)
     } else {
       // push方法
-      history.pushState({ key: setStateKey(genStateKey()) }, '', url)
+      history.pushState({
+        key: setStateKey(genStateKey()),
+        position: setStatePosition(getStatePosition() + 1),
+        state
+      }, '', url)
     }
   } catch (e) {
+    // 页面会重新加载，没有写入新的历史记录
     window.location[replace ? 'replace' : 'assign'](url)
+    return
+  }
+  if (route && routerHistory) {
+    routerHistory.backgrounds.set(getStateKey(), route.background)
   }
 }
 
-export function replaceState (url?: string) {
+export function replaceState (url?: string, route?: Route, routerHistory?: StateHistory) {
   // 在内部调用history.repalce
-  pushState(url, true)
+  pushState(url, true, route, routerHistory)
+}
+
+// 沿用当前历史记录中的key和position，比如页面刷新后。没有key时写入当前的key和position
+export function setupStateKey () {
+  const state = window.history.state
+  if (state && state.key) {
+    setStateKey(state.key)
+    if (typeof state.position === 'number') {
+      setStatePosition(state.position)
+    }
+  } else {
+    window.history.replaceState(
+      extend({ key: getStateKey(), position: getStatePosition() }, state),
+      ''
+    )
+  }
+}
+
+// 获取当前历史记录中保存的route.state
+export function getHistoryState (): ?Object {
+  const state = supportsPushState && window.history.state
+  return state ? state.state : undefined
+}
+
+// 获取当前历史记录对应的背景route，页面刷新后为undefined
+export function getHistoryBackground (backgrounds: BackgroundStore): ?Route {
+  const state = supportsPushState && window.history.state
+  return state && state.key ? backgrounds.get(state.key) : undefined
 }
@@ -1,16 +1,23 @@
 /* @flow */
 
+import type Router from '../index'
 import { _Vue } from '../install'
 import { warn, isError } from './warn'
+import { extend } from './misc'
+import { ComponentLoadError } from '../history/errors'
 
 /**
  * @description 高阶函数，返回一个路由导航函数，负责解析异步组件
  * @export
  * @param {Array<RouteRecord>} matched
- * @returns {Function} NavigationGuard
+ * @param {Router} router 用于读取异步组件的重试配置
+ * @returns {Function} NavigationGuard，第四个参数signal触发后不再重试加载失败的异步组件
  */
-export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
-  return (to, from, next) => {
+export function resolveAsyncComponents (
+  matched: Array<RouteRecord>,
+  router: Router
+): Function {
+  return (to, from, next, signal) => {
     let hasAsync = false
     let pending = 0
     let error = null
@@ -30,75 +37,296 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
       //   }
       // }
       // 如果def是函数，则认为存在异步组件
+      const status = match.asyncStatus && match.asyncStatus[key]
+      // 之前加载失败或者被beforeRouteEnter拒绝的视图，在这次导航中重新加载并运行守卫
+      if (status && !status.loading) {
+        setViewStatus(match, key, null)
+      }
       if (typeof def === 'function' && def.cid === undefined) {
+        // 同一个工厂函数已经在其他路由或者预加载中加载完成，直接复用
+        if (def.resolved) {
+          match.components[key] = def.resolved
+          return
+        }
+        // 声明了loadingComponent的路由不阻塞导航，加载期间<router-view>渲染loadingComponent
+        if (match.loadingComponent) {
+          loadRouteView(match, key, router, signal)
+          return
+        }
+
         hasAsync = true
         pending++ // 异步加载计数器
 
-        const resolve = once(resolvedDef => {
-          if (isESModule(resolvedDef)) {
-            resolvedDef = resolvedDef.default
+        const onResolve = () => {
+          // 清除之前加载失败的状态
+          if (match.asyncStatus && match.asyncStatus[key]) {
+            setViewStatus(match, key, null)
           }
-          // save resolved on async factory in case it's used elsewhere
-          def.resolved = typeof resolvedDef === 'function'
-            ? resolvedDef
-            : _Vue.extend(resolvedDef)
-          match.components[key] = resolvedDef // 异步加载后export出的对象
           pending--
           if (pending <= 0) { // 如果所有异步加载都结束则next，继续路由导航
             next()
           }
-        })
-
-        const reject = once(reason => {
-          const msg = `Failed to resolve async component ${key}: ${reason}`
-          process.env.NODE_ENV !== 'production' && warn(false, msg)
-          if (!error) {
-            error = isError(reason)
-              ? reason
-              : new Error(msg)
-            next(error)
-          }
-        })
-
-        let res
-        try {
-          // 运行异步加载组件函数，传入定义好的resolve和reject，处理以下使用场景
-          // const route = {
-          //   name: '',
-          //   path: '',
-          //   component: (resolve, reject) => {
-          //     // 异步加载组件，然后回调resolve即可
-          //   }
-          // }
-          res = def(resolve, reject)
-        } catch (e) {
-          reject(e)
         }
-        if (res) {
-          if (typeof res.then === 'function') {
-            // 如果返回的res是promise，则添加then监听，处理以下使用场景
-            // const route = {
-            //   name: '',
-            //   path: '',
-            //   component: () => import('...index.vue'),
-            // }
-            res.then(resolve, reject)
-          } else {
-            // new syntax in Vue 2.3
-            // https://cn.vuejs.org/v2/guide/components-dynamic-async.html#%E5%A4%84%E7%90%86%E5%8A%A0%E8%BD%BD%E7%8A%B6%E6%80%81
-            // 处理异步组件工厂函数
-            const comp = res.component
-            if (comp && typeof comp.then === 'function') {
-              comp.then(resolve, reject)
+        const onReject = err => {
+          process.env.NODE_ENV !== 'production' && warn(false, err.message)
+          // 声明了errorComponent的路由不中断导航，由<router-view>渲染errorComponent
+          if (match.errorComponent) {
+            setViewStatus(match, key, { loading: false, error: err })
+            pending--
+            if (pending <= 0 && !error) {
+              next()
             }
+          } else if (!error) {
+            error = err
+            next(error)
           }
         }
+
+        if (def._loading) {
+          // 复用进行中的预加载，不重复请求同一个chunk
+          waitForLoad(def, match, key).then(onResolve, onReject)
+        } else {
+          loadAsyncComponent(def, match, key, router, onResolve, onReject, signal, () => {
+            return router.history.pending === to
+          })
+        }
       }
     })
 
     if (!hasAsync) next() // 没有异步加载组件，直接next
   }
 }
+
+/**
+ * @description 提前加载matched中的异步组件，不作为导航守卫运行也不影响当前导航。
+ * 加载完成的组件会替换match.components，之后导航到这些路由时不再需要等待加载
+ * @export
+ * @param {Array<RouteRecord>} matched
+ * @param {Router} router
+ * @returns {?Promise} 所有组件加载完成后resolve，有组件加载失败时reject。不支持Promise的环境下不预加载，返回undefined
+ */
+export function prefetchAsyncComponents (
+  matched: Array<RouteRecord>,
+  router: Router
+) {
+  // $flow-disable-line
+  if (typeof Promise === 'undefined') return
+  return Promise.all(flatMapComponents(matched, (def, _, match, key) => {
+    if (typeof def !== 'function' || def.cid !== undefined) return
+    // 同一个工厂函数已经在其他地方加载完成
+    if (def.resolved) {
+      match.components[key] = def.resolved
+      return
+    }
+    return loadShared(def, match, key, router)
+  }))
+}
+
+/**
+ * @description 加载不属于某次导航的异步组件(预加载以及不阻塞导航的加载)，
+ * 进行中的加载保存在def._loading上，同一个工厂函数同时只会加载一次，导航中也会等待这个加载
+ * @param {Function} def 异步组件的工厂函数
+ * @param {RouteRecord} match
+ * @param {string} key 命名视图的名称
+ * @param {Router} router
+ * @returns {Promise} 加载完成后resolve，match.components[key]已经替换为加载的组件
+ */
+function loadShared (def: Function, match: RouteRecord, key: string, router: Router) {
+  if (!def._loading) {
+    // $flow-disable-line
+    def._loading = new Promise((resolve, reject) => {
+      loadAsyncComponent(def, match, key, router, resolve, reject)
+    })
+    const done = () => { def._loading = null }
+    def._loading.then(done, done)
+  }
+  return waitForLoad(def, match, key)
+}
+
+function waitForLoad (def: Function, match: RouteRecord, key: string) {
+  return def._loading.then(() => {
+    // 发起加载的match已经替换为加载的组件
+    if (match.components[key] === def) {
+      match.components[key] = def.resolved
+    }
+  })
+}
+
+/**
+ * @description 重新加载加载失败的异步组件，在<router-view>渲染的errorComponent中通过retry调用
+ * @export
+ * @param {RouteRecord} match
+ * @param {string} key 命名视图的名称
+ * @param {Router} router
+ */
+export function retryAsyncComponent (match: RouteRecord, key: string, router: Router) {
+  const def = match.components[key]
+  if (typeof def === 'function' && def.cid === undefined) {
+    loadRouteView(match, key, router)
+  }
+}
+
+// 不阻塞导航地加载异步组件，加载状态记录在match.asyncStatus中，状态变化后重新渲染对应的<router-view>
+// 组件加载完成并且beforeRouteEnter守卫通过后，<router-view>才渲染该组件
+function loadRouteView (
+  match: RouteRecord,
+  key: string,
+  router: Router,
+  signal?: AbortSignal
+) {
+  const status = match.asyncStatus && match.asyncStatus[key]
+  // 已经在加载中，等待这次加载的结果
+  if (status && status.loading) {
+    return
+  }
+  const onError = err => {
+    setViewStatus(match, key, { loading: false, error: err })
+  }
+  setViewStatus(match, key, { loading: true, error: null })
+  loadShared(match.components[key], match, key, router).then(() => {
+    router.history.confirmLazyView(match, key, () => {
+      setViewStatus(match, key, null)
+    }, onError, signal)
+  }, err => {
+    process.env.NODE_ENV !== 'production' && warn(false, err.message)
+    onError(err)
+  })
+}
+
+function setViewStatus (
+  match: RouteRecord,
+  key: string,
+  status: ?{ loading: boolean, error: ?Error }
+) {
+  const statuses = match.asyncStatus || (match.asyncStatus = {})
+  // views为<router-view>渲染的loadingComponent和errorComponent的实例，销毁时从中移除
+  const views = statuses[key] ? statuses[key].views : []
+  if (status) {
+    statuses[key] = { loading: status.loading, error: status.error, views }
+  } else {
+    delete statuses[key]
+  }
+  // 重新渲染这些实例所在的<router-view>
+  views.forEach(vm => vm.$parent.$forceUpdate())
+}
+
+/**
+ * @description 运行异步组件的工厂函数，加载完成后替换match.components[key]
+ * 加载失败时根据路由或router的componentRetry配置，等待一段时间后重新运行工厂函数。
+ * 没有配置重试时，原样传递加载失败的原因，不包装为ComponentLoadError
+ * @param {Function} def 异步组件的工厂函数
+ * @param {RouteRecord} match
+ * @param {string} key 命名视图的名称
+ * @param {Router} router
+ * @param {Function} onResolve
+ * @param {Function} onReject 配置了重试时参数为ComponentLoadError
+ * @param {AbortSignal} [signal] signal触发后不再重试
+ * @param {Function} [isCurrent] 返回发起加载的导航是否仍在进行，导航被取消或者被新的导航打断后不再重试
+ */
+function loadAsyncComponent (
+  def: Function,
+  match: RouteRecord,
+  key: string,
+  router: Router,
+  onResolve: Function,
+  onReject: Function,
+  signal?: AbortSignal,
+  isCurrent?: () => boolean
+) {
+  // 路由的配置覆盖router的配置
+  const options: ComponentRetryOptions = extend(
+    extend({}, router.options.componentRetry),
+    match.componentRetry
+  )
+  let attempts = 0
+  const load = () => {
+    attempts++
+    callAsyncFactory(def, match, key, onResolve, reason => {
+      const retries = options.count || 0
+      if (!retries) {
+        // 保持原来的错误，onError中可以继续判断err.name === 'ChunkLoadError'等
+        onReject(isError(reason)
+          ? reason
+          : new Error(`Failed to resolve async component ${key}: ${reason}`))
+      } else if (
+        attempts <= retries &&
+        !(signal && signal.aborted) &&
+        (!options.shouldRetry || options.shouldRetry(reason, attempts, { record: match, view: key }))
+      ) {
+        // 默认每次重试的等待时间翻倍
+        const backoff = typeof options.backoff === 'number' ? options.backoff : 2
+        setTimeout(retry, (options.delay || 0) * Math.pow(backoff, attempts - 1))
+      } else {
+        onReject(new ComponentLoadError(match, key, attempts, reason))
+      }
+    })
+  }
+  const retry = () => {
+    // 导航已经结束，不再需要这个组件
+    if (!isCurrent || isCurrent()) {
+      load()
+    }
+  }
+  load()
+}
+
+// 运行一次异步组件的工厂函数
+function callAsyncFactory (
+  def: Function,
+  match: RouteRecord,
+  key: string,
+  onResolve: Function,
+  onReject: Function
+) {
+  const resolve = once(resolvedDef => {
+    if (isESModule(resolvedDef)) {
+      resolvedDef = resolvedDef.default
+    }
+    // save resolved on async factory in case it's used elsewhere
+    def.resolved = typeof resolvedDef === 'function'
+      ? resolvedDef
+      : _Vue.extend(resolvedDef)
+    match.components[key] = resolvedDef // 异步加载后export出的对象
+    onResolve()
+  })
+
+  const reject = once(onReject)
+
+  let res
+  try {
+    // 运行异步加载组件函数，传入定义好的resolve和reject，处理以下使用场景
+    // const route = {
+    //   name: '',
+    //   path: '',
+    //   component: (resolve, reject) => {
+    //     // 异步加载组件，然后回调resolve即可
+    //   }
+    // }
+    res = def(resolve, reject)
+  } catch (e) {
+    reject(e)
+  }
+  if (res) {
+    if (typeof res.then === 'function') {
+      // 如果返回的res是promise，则添加then监听，处理以下使用场景
+      // const route = {
+      //   name: '',
+      //   path: '',
+      //   component: () => import('...index.vue'),
+      // }
+      res.then(resolve, reject)
+    } else {
+      // new syntax in Vue 2.3
+      // https://cn.vuejs.org/v2/guide/components-dynamic-async.html#%E5%A4%84%E7%90%86%E5%8A%A0%E8%BD%BD%E7%8A%B6%E6%80%81
+      // 处理异步组件工厂函数
+      const comp = res.component
+      if (comp && typeof comp.then === 'function') {
+        comp.then(resolve, reject)
+      }
+    }
+  }
+}
+
 /**
  * @description 传入routeRecord的数组，对routeRecord的所有Components应用fn函数，然后返回一个由fn函数结果返回的数组
  * @param {*} matched
@@ -0,0 +1,64 @@
+/* @flow */
+
+import { warn, isError } from './warn'
+import { extend } from './misc'
+import { isObjectEqual } from './route'
+
+/**
+ * @description 高阶函数，返回一个路由导航函数，负责并行运行路由的loader，并将结果按父路由在前的顺序合并到to.data，
+ * 同名的key以嵌套更深的路由的结果为准。新激活的routeRecord，以及自身params、query或hash发生变化的routeRecord会重新运行loader，
+ * 其余routeRecord沿用cache中的结果。导航的signal作为第二个参数传给loader
+ * @export
+ * @param {LoaderCache} cache 所属history的loader结果，以routeRecord的path为key
+ * @returns {Function} NavigationGuard
+ */
+export function resolveLoaders (cache: LoaderCache): Function {
+  return (to: Route, from: Route, next: Function, signal?: AbortSignal) => {
+    const records = to.matched.filter(record => record.loader)
+    const reload = records.filter(record => shouldReload(record, cache[record.path], to, from))
+
+    Promise.all(reload.map(record => {
+      // $flow-disable-line
+      return new Promise(resolve => resolve(record.loader(to, signal)))
+    })).then(results => {
+      records.forEach(record => {
+        const i = reload.indexOf(record)
+        const data = i > -1
+          ? results[i]
+          : cache[record.path].data
+        // 记录结果所属的route，下次导航从该route出发时才可以沿用
+        cache[record.path] = { route: to, data }
+        if (data && typeof data === 'object') {
+          extend(to.data, data)
+        } else if (process.env.NODE_ENV !== 'production' && data != null) {
+          warn(
+            false,
+            `loader of route "${record.path || '/'}" resolved with a ${typeof data}, ` +
+            `expecting an object to be merged into route.data.`
+          )
+        }
+      })
+      next()
+    }, err => {
+      next(isError(err) ? err : new Error(err))
+    })
+  }
+}
+
+function shouldReload (
+  record: RouteRecord,
+  cached: ?{ route: Route, data: any },
+  to: Route,
+  from: Route
+): boolean {
+  // 新激活的routeRecord，或者上一次的结果属于被放弃的导航
+  if (!cached || cached.route !== from) return true
+  // routeRecord可以自行决定是否重新运行loader
+  if (record.shouldReload) return !!record.shouldReload(to, from)
+  return (
+    // routeRecord自身的params发生了变化
+    record.regex.keys.some(key => from.params[key.name] !== to.params[key.name]) ||
+    to.hash !== from.hash ||
+    !isObjectEqual(to.query, from.query)
+  )
+}
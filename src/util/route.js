@@ -26,6 +26,11 @@ export function createRoute (
     query = clone(query)
   } catch (e) {}
 
+  let state: any = location.state || {}
+  try {
+    state = clone(state)
+  } catch (e) {}
+
   // NOTE: 创建Route对象
   // https://router.vuejs.org/zh/api/#%E8%B7%AF%E7%94%B1%E5%AF%B9%E8%B1%A1%E5%B1%9E%E6%80%A7
   const route: Route = {
@@ -38,11 +43,19 @@ export function createRoute (
     params: location.params || {},
     // NOTE: 这里将query对象重新encode填充进url中
     fullPath: getFullPath(location, stringifyQuery), // 完成解析后的 URL，包含查询参数和 hash 的完整路径。
-    matched: record ? formatMatch(record) : []
+    matched: record ? formatMatch(record) : [],
+    // 导航过程中由路由的loader填充，route对象被冻结后仍然可以写入
+    data: {},
+    // 保存在历史记录中的状态，不会出现在url中
+    state
   }
   if (redirectedFrom) {
     route.redirectedFrom = getFullPath(redirectedFrom, stringifyQuery)
   }
+  // 由matcher解析后的背景route
+  if (location.background && typeof location.background === 'object') {
+    route.background = (location.background: any)
+  }
   return Object.freeze(route)
 }
 
@@ -106,7 +119,12 @@ export function isSameRoute (a: Route, b: ?Route): boolean {
   }
 }
 
-function isObjectEqual (a = {}, b = {}): boolean {
+// route.state不同的导航不算重复导航，可以用来更新当前历史记录中的state
+export function isSameState (a: Route, b: Route): boolean {
+  return isObjectEqual(a.state, b.state)
+}
+
+export function isObjectEqual (a: Object = {}, b: Object = {}): boolean {
   // handle null value #1566
   if (!a || !b) return a === b
   const aKeys = Object.keys(a)
@@ -0,0 +1,66 @@
+/* @flow */
+
+import { warn } from './warn'
+
+const DEFAULT_KEY = 'vue-router-scroll'
+const DEFAULT_MAX = 50
+
+/**
+ * @description 根据scrollPersistence配置创建滚动位置的持久化存储，默认使用sessionStorage
+ * 所有历史记录的滚动位置以JSON的形式保存在同一个key下，写入时只保留最近保存的max条记录
+ * @export
+ * @param {ScrollPersistenceOptions} options
+ * @returns {ScrollStorage}
+ */
+export function createScrollStorage (
+  options: ScrollPersistenceOptions
+): ScrollStorage {
+  const storage = options.storage || getSessionStorage()
+  const key = options.key || DEFAULT_KEY
+  const max = typeof options.max === 'number' ? options.max : DEFAULT_MAX
+
+  return {
+    read () {
+      const positions = {}
+      try {
+        const value = storage ? storage.getItem(key) : null
+        const saved = value ? JSON.parse(value) : null
+        if (saved && typeof saved === 'object') {
+          Object.keys(saved).forEach(stateKey => {
+            if (saved[stateKey] && typeof saved[stateKey] === 'object') {
+              positions[stateKey] = saved[stateKey]
+            }
+          })
+        }
+      } catch (e) {
+        warn(false, `failed to read saved scroll positions: ${e}`)
+      }
+      return positions
+    },
+
+    write (positions: Dictionary<SavedPosition>) {
+      if (!storage) return
+      // positions按保存的先后排列，淘汰最早保存的记录
+      const stateKeys = Object.keys(positions)
+      const kept = {}
+      stateKeys.slice(Math.max(stateKeys.length - max, 0)).forEach(stateKey => {
+        kept[stateKey] = positions[stateKey]
+      })
+      try {
+        storage.setItem(key, JSON.stringify(kept))
+      } catch (e) {
+        // 超出存储配额或者浏览器禁用了存储
+        warn(false, `failed to save scroll positions: ${e}`)
+      }
+    }
+  }
+}
+
+function getSessionStorage (): ?ScrollStorageAdapter {
+  try {
+    // 禁用cookie时访问sessionStorage会抛出异常
+    return window.sessionStorage
+  } catch (e) {
+    return null
+  }
+}
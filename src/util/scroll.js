@@ -1,12 +1,22 @@
 /* @flow */
 
 import type Router from '../index'
-import { assert } from './warn'
-import { getStateKey, setStateKey } from './state-key'
+import { assert, warn } from './warn'
+import { getStateKey } from './state-key'
+import { extend } from './misc'
+import { createScrollStorage } from './scroll-storage'
 
-const positionStore = Object.create(null)
+// 保存滚动位置的HTML5History和HashHistory
+type ScrollHistory = {
+  router: Router,
+  scrollPositions: Dictionary<SavedPosition>
+}
+
+// 每次导航递增，等待内容加载的滚动据此判断是否已经有了新的导航
+let scrollId = 0
 
-export function setupScroll () {
+export function setupScroll (history: ScrollHistory) {
+  const router = history.router
   // Fix for #1585 for Firefox
   // Fix for #2195 Add optional third attribute to workaround a bug in safari https://bugs.webkit.org/show_bug.cgi?id=182678
   // Fix for #2774 Support for apps loaded from Windows file shares not mapped to network drives: replaced location.origin with
@@ -14,13 +24,28 @@ export function setupScroll () {
   // location.host contains the port and location.hostname doesn't
   const protocolAndPath = window.location.protocol + '//' + window.location.host
   const absolutePath = window.location.href.replace(protocolAndPath, '')
-  window.history.replaceState({ key: getStateKey() }, '', absolutePath)
-  window.addEventListener('popstate', e => {
-    saveScrollPosition()
-    if (e.state && e.state.key) {
-      setStateKey(e.state.key)
-    }
+  // preserve existing history state as it could contain the route state
+  const stateCopy = extend({}, window.history.state)
+  stateCopy.key = getStateKey()
+  window.history.replaceState(stateCopy, '', absolutePath)
+  // 离开的历史记录的key由HTML5History和HashHistory的popstate监听切换
+  window.addEventListener('popstate', () => {
+    saveScrollPosition(history)
   })
+
+  const persistence = router.options.scrollPersistence
+  if (persistence) {
+    const storage = createScrollStorage(persistence === true ? {} : persistence)
+    // 恢复刷新页面或离开应用之前保存的位置，popstate时作为savedPosition
+    extend(history.scrollPositions, storage.read())
+    const persist = () => {
+      saveScrollPosition(history)
+      storage.write(history.scrollPositions)
+    }
+    // 移动端浏览器不一定触发beforeunload，pagehide更可靠
+    window.addEventListener('pagehide', persist)
+    window.addEventListener('beforeunload', persist)
+  }
 }
 
 export function handleScroll (
@@ -42,14 +67,26 @@ export function handleScroll (
     assert(typeof behavior === 'function', `scrollBehavior must be a function`)
   }
 
+  // 在下一次导航开始前取出这次导航的类型、方向和步数
+  const info = router.history.navigation
+  const id = ++scrollId
+  const containers = router.scrollContainers
+  const scroll = (shouldScroll, position) => {
+    if (router.options.scrollWait) {
+      waitForScrollTarget(router.options.scrollWait, id, shouldScroll, position, containers)
+    } else {
+      scrollToPosition(shouldScroll, position, containers)
+    }
+  }
   // wait until re-render finishes before scrolling
   router.app.$nextTick(() => {
-    const position = getScrollPosition()
+    const position = getScrollPosition(router)
     const shouldScroll = behavior.call(
       router,
       to,
       from,
-      isPop ? position : null
+      isPop ? position : null,
+      info
     )
 
     if (!shouldScroll) {
@@ -59,7 +96,7 @@ export function handleScroll (
     if (typeof shouldScroll.then === 'function') {
       shouldScroll
         .then(shouldScroll => {
-          scrollToPosition((shouldScroll: any), position)
+          scroll((shouldScroll: any), position)
         })
         .catch(err => {
           if (process.env.NODE_ENV !== 'production') {
@@ -67,25 +104,189 @@ export function handleScroll (
           }
         })
     } else {
-      scrollToPosition(shouldScroll, position)
+      scroll(shouldScroll, position)
     }
   })
 }
 
-export function saveScrollPosition () {
+/**
+ * @description 等待滚动的目标元素出现，或者页面和滚动容器的高度足够滚动到目标位置之后再滚动
+ * 数据驱动的页面在$nextTick时内容可能还没有加载，超时之后按当前的页面尽量滚动
+ * @param {(boolean | ScrollWaitOptions)} wait
+ * @param {number} id 开始等待时的scrollId，有新的导航时放弃滚动
+ * @param {Object} shouldScroll scrollBehavior返回的位置
+ * @param {?Object} position 保存的位置
+ * @param {Dictionary<string | Element>} containers router注册的滚动容器
+ */
+function waitForScrollTarget (
+  wait: boolean | ScrollWaitOptions,
+  id: number,
+  shouldScroll: Object,
+  position: ?Object,
+  containers: Dictionary<string | Element>
+) {
+  const { timeout = 1000, interval = 50 } = typeof wait === 'object' ? wait : {}
+  const start = Date.now()
+  const attempt = () => {
+    if (id !== scrollId) {
+      return
+    }
+    if (
+      isScrollTargetReady(shouldScroll, position, containers) ||
+      Date.now() - start >= timeout
+    ) {
+      scrollToPosition(shouldScroll, position, containers)
+    } else {
+      setTimeout(attempt, interval)
+    }
+  }
+  attempt()
+}
+
+function isScrollTargetReady (
+  shouldScroll: Object,
+  position: ?Object,
+  containers: Dictionary<string | Element>
+): boolean {
+  const isObject = !!shouldScroll && typeof shouldScroll === 'object'
+  const target = isObject && getScrollTarget(shouldScroll)
+  if (target) {
+    if (!getTargetElement(target)) {
+      return false
+    }
+  } else {
+    const windowPosition = isObject && isValidPosition(shouldScroll) ? shouldScroll : position
+    const docEl: any = document.documentElement
+    if (
+      windowPosition &&
+      !canScrollTo(
+        windowPosition,
+        // innerWidth和innerHeight包含滚动条，使用clientWidth和clientHeight
+        docEl.scrollWidth - docEl.clientWidth,
+        docEl.scrollHeight - docEl.clientHeight
+      )
+    ) {
+      return false
+    }
+  }
+
+  const positions = isObject && shouldScroll.containers
+  return !positions || typeof positions !== 'object' || Object.keys(positions).every(id => {
+    const el: any = getContainerElement(containers, id)
+    return !!el && canScrollTo(
+      positions[id] || {},
+      el.scrollWidth - el.clientWidth,
+      el.scrollHeight - el.clientHeight
+    )
+  })
+}
+
+// 可以滚动的最大距离是否足够滚动到目标位置
+function canScrollTo (position: Object, maxX: number, maxY: number): boolean {
+  return (
+    (!isNumber(position.x) || position.x <= maxX) &&
+    (!isNumber(position.y) || position.y <= maxY)
+  )
+}
+
+export function saveScrollPosition (history: ScrollHistory) {
+  const positions = history.scrollPositions
   const key = getStateKey()
   if (key) {
-    positionStore[key] = {
+    const position: SavedPosition = {
       x: window.pageXOffset,
       y: window.pageYOffset
     }
+    const containers = getContainerPositions(history.router.scrollContainers)
+    if (containers) {
+      position.containers = containers
+    }
+    // 先删除再写入，使scrollPositions按保存的先后排列，持久化时据此淘汰旧记录
+    delete positions[key]
+    positions[key] = position
   }
 }
 
-function getScrollPosition (): ?Object {
+/**
+ * @description 为router注册一个滚动容器，之后每条历史记录都会以id为key保存它的滚动位置。
+ * 保存的位置只会作为savedPosition传给scrollBehavior，没有配置scrollBehavior时不会恢复
+ * @export
+ * @param {Router} router
+ * @param {string} id
+ * @param {(string | Element)} container 选择器或者元素，选择器在保存和恢复位置时才查询
+ * @returns {Function} 返回一个取消注册的函数
+ */
+export function registerScrollContainer (
+  router: Router,
+  id: string,
+  container: string | Element
+): Function {
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      !!router.options.scrollBehavior,
+      `scroll container "${id}" is registered without a scrollBehavior, its position will not be restored`
+    )
+  }
+  const containers = router.scrollContainers
+  containers[id] = container
+  return () => {
+    if (containers[id] === container) {
+      delete containers[id]
+    }
+  }
+}
+
+function getContainerElement (
+  containers: Dictionary<string | Element>,
+  id: string
+): ?Element {
+  const container = containers[id]
+  return typeof container === 'string'
+    ? document.querySelector(container)
+    : container
+}
+
+function getContainerPositions (
+  containers: Dictionary<string | Element>
+): ?Dictionary<Position> {
+  let positions
+  Object.keys(containers).forEach(id => {
+    const el = getContainerElement(containers, id)
+    // 当前页面中不存在的容器不保存位置
+    if (el) {
+      positions = positions || {}
+      positions[id] = { x: el.scrollLeft, y: el.scrollTop }
+    }
+  })
+  return positions
+}
+
+function scrollContainersTo (
+  containers: Dictionary<string | Element>,
+  positions: Object,
+  behavior: ?string
+) {
+  Object.keys(positions).forEach(id => {
+    const el: any = getContainerElement(containers, id)
+    const position = positions[id]
+    if (!el || !position || !isValidPosition(position)) {
+      return
+    }
+    if (behavior && typeof el.scrollTo === 'function' && supportsScrollOptions()) {
+      el.scrollTo(toScrollOptions(position, behavior))
+    } else {
+      if (isNumber(position.x)) el.scrollLeft = position.x
+      if (isNumber(position.y)) el.scrollTop = position.y
+    }
+  })
+}
+
+function getScrollPosition (router: Router): ?SavedPosition {
   const key = getStateKey()
-  if (key) {
-    return positionStore[key]
+  // 只有HTML5History和HashHistory保存了滚动位置
+  const positions = (router.history: any).scrollPositions
+  if (key && positions) {
+    return positions[key]
   }
 }
 
@@ -123,21 +324,55 @@ function isNumber (v: any): boolean {
 
 const hashStartsWithNumberRE = /^#\d/
 
-function scrollToPosition (shouldScroll, position) {
+function getTargetElement (target: string | Element): ?Element {
+  if (typeof target !== 'string') {
+    return target
+  }
+  // getElementById would still fail if the selector contains a more complicated query like #main[data-attr]
+  // but at the same time, it doesn't make much sense to select an element with an id and an extra selector
+  return hashStartsWithNumberRE.test(target)
+    ? document.getElementById(target.slice(1))
+    : document.querySelector(target)
+}
+
+// 浏览器是否支持scrollTo(ScrollToOptions)以及behavior
+function supportsScrollOptions (): boolean {
+  const docEl: any = document.documentElement
+  return !!docEl && 'scrollBehavior' in docEl.style
+}
+
+function toScrollOptions (position: Object, behavior: string): Object {
+  const options: Object = { behavior }
+  if (isNumber(position.x)) options.left = position.x
+  if (isNumber(position.y)) options.top = position.y
+  return options
+}
+
+// el可以是元素或者选择器，selector为el出现之前的写法
+function getScrollTarget (shouldScroll: Object): ?(string | Element) {
+  const target = shouldScroll.el || shouldScroll.selector
+  if (target && (typeof target === 'string' || typeof target === 'object')) {
+    return target
+  }
+}
+
+function scrollToPosition (
+  shouldScroll: Object,
+  position: ?Object,
+  containers: Dictionary<string | Element>
+) {
   const isObject = typeof shouldScroll === 'object'
-  if (isObject && typeof shouldScroll.selector === 'string') {
-    // getElementById would still fail if the selector contains a more complicated query like #main[data-attr]
-    // but at the same time, it doesn't make much sense to select an element with an id and an extra selector
-    const el = hashStartsWithNumberRE.test(shouldScroll.selector) // $flow-disable-line
-      ? document.getElementById(shouldScroll.selector.slice(1)) // $flow-disable-line
-      : document.querySelector(shouldScroll.selector)
+  const target = isObject && getScrollTarget(shouldScroll)
+  if (target) {
+    const el = getTargetElement(target)
 
     if (el) {
+      // offset为函数时在滚动前调用，用来读取吸顶导航栏等元素当前的高度
       let offset =
-        shouldScroll.offset && typeof shouldScroll.offset === 'object'
-          ? shouldScroll.offset
-          : {}
-      offset = normalizeOffset(offset)
+        typeof shouldScroll.offset === 'function'
+          ? shouldScroll.offset()
+          : shouldScroll.offset
+      offset = normalizeOffset(offset && typeof offset === 'object' ? offset : {})
       position = getElementPosition(el, offset)
     } else if (isValidPosition(shouldScroll)) {
       position = normalizePosition(shouldScroll)
@@ -146,7 +381,17 @@ function scrollToPosition (shouldScroll, position) {
     position = normalizePosition(shouldScroll)
   }
 
+  const behavior = isObject ? shouldScroll.behavior : null
   if (position) {
-    window.scrollTo(position.x, position.y)
+    // 不支持ScrollToOptions的浏览器直接跳转到目标位置
+    if (behavior && supportsScrollOptions()) {
+      window.scrollTo(toScrollOptions(position, behavior))
+    } else {
+      window.scrollTo(position.x, position.y)
+    }
+  }
+
+  if (isObject && shouldScroll.containers && typeof shouldScroll.containers === 'object') {
+    scrollContainersTo(containers, shouldScroll.containers, behavior)
   }
 }
@@ -2,16 +2,22 @@
 import { inBrowser } from './dom'
 
 // use User Timing api (if present) for more accurate key precision
-const Time =
+export const Time =
   inBrowser && window.performance && window.performance.now
     ? window.performance
     : Date
 
+// 同一毫秒内生成的key依靠计数器区分
+let _keyCount: number = 0
+
+// performance.now()在每次页面加载时从0开始，持久化的滚动位置需要刷新页面后也不会重复的key
 export function genStateKey (): string {
-  return Time.now().toFixed(3)
+  return `${Date.now()}-${_keyCount++}`
 }
 
 let _key: string = genStateKey()
+// 当前历史记录在历史记录栈中的位置，push时加1，replace时不变
+let _position: number = 0
 
 export function getStateKey () {
   return _key
@@ -20,3 +26,36 @@ export function getStateKey () {
 export function setStateKey (key: string) {
   return (_key = key)
 }
+
+export function getStatePosition () {
+  return _position
+}
+
+export function setStatePosition (position: number) {
+  return (_position = position)
+}
+
+/**
+ * @description popstate时切换到目标历史记录的key和position，根据position的变化得到导航信息。
+ * 不是由router创建的历史记录（比如手动修改了hash）没有position，方向为'unknown'，
+ * 并当作当前记录之后的新记录，没有key时使用新的key
+ * @export
+ * @param {?Object} state 目标历史记录的history.state
+ * @returns {NavigationInfo} { type: 'pop', direction, delta }
+ */
+export function popStateKey (state: ?Object): NavigationInfo {
+  const from = _position
+  if (!state || !state.key || typeof state.position !== 'number') {
+    // 保留历史记录已有的key，滚动位置等以key保存的数据仍然可以恢复
+    setStateKey(state && state.key ? state.key : genStateKey())
+    setStatePosition(from + 1)
+    return { type: 'pop', direction: 'unknown', delta: 0 }
+  }
+  setStateKey(state.key)
+  const delta = setStatePosition(state.position) - from
+  return {
+    type: 'pop',
+    direction: delta < 0 ? 'back' : delta > 0 ? 'forward' : 'unknown',
+    delta
+  }
+}
@@ -13,13 +13,9 @@ export function warn (condition: any, message: string) {
 }
 
 export function isError (err: any): boolean {
-  return Object.prototype.toString.call(err).indexOf('Error') > -1
-}
-
-export function isExtendedError (constructor: Function, err: any): boolean {
+  // transpiled subclasses of Error are not tagged as errors by toString
   return (
-    err instanceof constructor ||
-    // _name is to support IE9 too
-    (err && (err.name === constructor.name || err._name === constructor._name))
+    err instanceof Error ||
+    Object.prototype.toString.call(err).indexOf('Error') > -1
   )
 }
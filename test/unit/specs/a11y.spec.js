@@ -0,0 +1,150 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('a11y', () => {
+  let heading, target, body
+
+  // 单元测试运行在node中，用简单的对象模拟页面中的元素
+  function createElement (tabIndex) {
+    const attrs = {}
+    return {
+      attrs,
+      tabIndex,
+      style: {},
+      textContent: '',
+      focus: jasmine.createSpy('focus'),
+      hasAttribute: name => name in attrs,
+      setAttribute: (name, value) => { attrs[name] = value }
+    }
+  }
+
+  beforeEach(() => {
+    jasmine.clock().install()
+    heading = createElement(-1)
+    target = null
+    body = { children: [] }
+    body.appendChild = el => {
+      el.parentNode = body
+      body.children.push(el)
+    }
+    global.document = {
+      title: 'Home',
+      body,
+      createElement: () => createElement(-1),
+      querySelector: selector => {
+        if (selector === 'h1') return heading
+        return selector === '[data-route-focus]' || selector === '#content' ? target : null
+      }
+    }
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+    delete global.document
+  })
+
+  function createRouter (a11y) {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/about', component: { name: 'About' }}
+      ],
+      initialEntries: ['/'],
+      a11y
+    })
+    new Vue({ router })
+    return router
+  }
+
+  function navigate (router, location) {
+    return router.push(location).then(() => Vue.nextTick())
+  }
+
+  it('moves focus to the main heading after navigating', done => {
+    const router = createRouter(true)
+    expect(heading.focus).not.toHaveBeenCalled()
+    navigate(router, '/about').then(() => {
+      expect(heading.attrs.tabindex).toBe('-1')
+      expect(heading.focus).toHaveBeenCalledWith({ preventScroll: true })
+      done()
+    })
+  })
+
+  it('prefers elements marked with data-route-focus', done => {
+    const router = createRouter(true)
+    target = createElement(0)
+    navigate(router, '/about').then(() => {
+      expect(target.focus).toHaveBeenCalled()
+      // 本身可以获得焦点的元素不设置tabindex
+      expect(target.attrs.tabindex).toBeUndefined()
+      expect(heading.focus).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('prefers data-route-focus over an h1 earlier in the document', done => {
+    const router = createRouter(true)
+    target = createElement(-1)
+    // 模拟浏览器的querySelector：组合选择器返回文档中的第一个匹配，即布局中的h1
+    const querySelector = document.querySelector
+    document.querySelector = selector => {
+      return selector === '[data-route-focus], h1' ? heading : querySelector(selector)
+    }
+    navigate(router, '/about').then(() => {
+      expect(target.focus).toHaveBeenCalled()
+      expect(heading.focus).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('announces the page title in a live region', done => {
+    const router = createRouter(true)
+    navigate(router, '/about').then(() => {
+      document.title = 'About'
+      return navigate(router, '/')
+    }).then(() => {
+      expect(body.children.length).toBe(1)
+      const region = body.children[0]
+      expect(region.attrs['aria-live']).toBe('polite')
+      expect(region.attrs['aria-atomic']).toBe('true')
+      expect(region.textContent).toBe('')
+      jasmine.clock().tick(100)
+      expect(region.textContent).toBe('About')
+      done()
+    })
+  })
+
+  it('accepts custom focus targets and messages', done => {
+    const router = createRouter({
+      focus: '#content',
+      announce: to => `Navigated to ${to.path}`,
+      politeness: 'assertive'
+    })
+    target = createElement(-1)
+    navigate(router, '/about').then(() => {
+      expect(target.focus).toHaveBeenCalled()
+      const region = body.children[0]
+      expect(region.attrs['aria-live']).toBe('assertive')
+      jasmine.clock().tick(100)
+      expect(region.textContent).toBe('Navigated to /about')
+      done()
+    })
+  })
+
+  it('does nothing when navigations fail or the option is off', done => {
+    const router = createRouter({ announce: false })
+    router.beforeEach((to, from, next) => next(to.path !== '/about'))
+    navigate(router, '/about').catch(() => {
+      expect(heading.focus).not.toHaveBeenCalled()
+      const plain = createRouter()
+      return navigate(plain, '/about')
+    }).then(() => {
+      expect(heading.focus).not.toHaveBeenCalled()
+      expect(body.children.length).toBe(0)
+      done()
+    })
+  })
+})
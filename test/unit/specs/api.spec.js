@@ -1,4 +1,5 @@
 import Router from '../../../src/index'
+import { handleScroll } from '../../../src/util/scroll'
 import Vue from 'vue'
 
 describe('router.onReady', () => {
@@ -85,6 +86,76 @@ describe('route matching', () => {
   })
 })
 
+describe('router.preload', () => {
+  const Foo = { name: 'Foo' }
+  const Bar = { name: 'Bar' }
+  let router, foo, bar, guard
+
+  beforeEach(() => {
+    foo = jasmine.createSpy('foo').and.returnValue(Promise.resolve(Foo))
+    bar = jasmine.createSpy('bar').and.returnValue(Promise.resolve(Bar))
+    guard = jasmine.createSpy('beforeEnter')
+    router = new Router({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/foo',
+          component: foo,
+          beforeEnter: guard,
+          children: [{ path: 'bar', components: { default: bar, side: foo }}]
+        }
+      ]
+    })
+  })
+
+  it('resolves the async components of the matched records', done => {
+    router.preload('/foo/bar').then(route => {
+      expect(route.path).toBe('/foo/bar')
+      expect(route.matched[0].components.default).toBe(Foo)
+      expect(route.matched[1].components.default).toBe(Bar)
+      expect(foo).toHaveBeenCalledTimes(1)
+      expect(bar).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('does not run guards or change the current route', done => {
+    const beforeEach = jasmine.createSpy('beforeEach')
+    router.beforeEach(beforeEach)
+    router.preload('/foo').then(() => {
+      expect(beforeEach).not.toHaveBeenCalled()
+      expect(guard).not.toHaveBeenCalled()
+      expect(router.history.current.path).toBe('/')
+      done()
+    })
+  })
+
+  it('lets the navigation reuse the resolved components', done => {
+    guard.and.callFake((to, from, next) => next())
+    router.preload('/foo').then(() => {
+      return router.push('/foo/bar')
+    }).then(() => {
+      expect(foo).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('rejects when a component fails to load', done => {
+    bar.and.returnValue(Promise.reject(new Error('network')))
+    router.preload('/foo/bar').catch(err => {
+      expect(err.message).toBe('network')
+      // 配置了重试时，最后一次失败后reject ComponentLoadError
+      router.options.componentRetry = { count: 1 }
+      return router.preload('/foo/bar')
+    }).catch(err => {
+      expect(err.name).toBe('ComponentLoadError')
+      expect(err.view).toBe('default')
+      expect(err.cause.message).toBe('network')
+      done()
+    })
+  })
+})
+
 describe('router.addRoutes', () => {
   it('should work', () => {
     const router = new Router({
@@ -118,6 +189,242 @@ describe('router.addRoutes', () => {
   })
 })
 
+describe('router.addRoute', () => {
+  it('adds a child route to an existing named route', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', alias: '/a-alias', component: { name: 'A' }}
+      ]
+    })
+
+    router.push('/a/b')
+    expect(router.getMatchedComponents().length).toBe(0)
+
+    router.addRoute('a', { path: 'b', name: 'b', component: { name: 'B' }})
+    const matched = router.currentRoute.matched
+    expect(matched.length).toBe(2)
+    expect(matched[1].parent).toBe(matched[0])
+    expect(matched[1].path).toBe('/a/b')
+    expect(router.getMatchedComponents().map(c => c.name)).toEqual(['A', 'B'])
+    expect(router.resolve('/a-alias/b').route.matched.length).toBe(2)
+    expect(router.resolve({ name: 'b' }).route.path).toBe('/a/b')
+  })
+
+  it('adds a top level route and returns a removal function', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: []
+    })
+
+    const remove = router.addRoute({ path: '/a', name: 'a', component: { name: 'A' }})
+    expect(router.hasRoute('a')).toBe(true)
+
+    remove()
+    expect(router.hasRoute('a')).toBe(false)
+  })
+
+  it('adds the child route to the aliases of every ancestor', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        {
+          path: '/a',
+          alias: '/x',
+          component: { name: 'A' },
+          children: [{ path: 'b', name: 'b', component: { name: 'B' }}]
+        }
+      ]
+    })
+
+    const remove = router.addRoute('b', { path: 'c', component: { name: 'C' }})
+    expect(router.resolve('/a/b/c').route.matched.length).toBe(3)
+    const matched = router.resolve('/x/b/c').route.matched
+    expect(matched.map(r => r.path)).toEqual(['/a', '/a/b', '/a/b/c'])
+
+    remove()
+    expect(router.resolve('/x/b/c').route.matched.length).toBe(0)
+    expect(router.resolve('/x/b').route.matched.length).toBe(2)
+  })
+
+  it('removes the child route from the parent aliases', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', alias: '/a-alias', component: { name: 'A' }}
+      ]
+    })
+
+    const remove = router.addRoute('a', { path: 'b', component: { name: 'B' }})
+    remove()
+    expect(router.resolve('/a/b').route.matched.length).toBe(0)
+    expect(router.resolve('/a-alias/b').route.matched.length).toBe(0)
+    expect(router.resolve('/a-alias').route.matched.length).toBe(1)
+  })
+})
+
+describe('router.getRoutes', () => {
+  it('returns all the registered records', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', component: { name: 'A' }},
+        { path: '*', component: { name: 'NotFound' }}
+      ]
+    })
+
+    router.addRoute('a', { path: 'b', component: { name: 'B' }})
+    expect(router.getRoutes().map(r => r.path)).toEqual(['/a', '/a/b', '*'])
+  })
+})
+
+describe('router.removeRoute', () => {
+  it('removes a named route with its children and aliases', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', component: { name: 'A' }},
+        {
+          path: '/b',
+          name: 'b',
+          alias: '/b-alias',
+          component: { name: 'B' },
+          children: [{ path: 'c', component: { name: 'C' }}]
+        }
+      ]
+    })
+
+    router.push('/b/c')
+    expect(router.getMatchedComponents().length).toBe(2)
+
+    router.removeRoute('b')
+    expect(router.getMatchedComponents().length).toBe(0)
+    expect(router.resolve('/b').route.matched.length).toBe(0)
+    expect(router.resolve('/b-alias/c').route.matched.length).toBe(0)
+    expect(router.resolve('/a').route.matched.length).toBe(1)
+  })
+
+  it('can remove the routes added by addRoutes', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', component: { name: 'A' }}
+      ]
+    })
+
+    const remove = router.addRoutes([
+      {
+        path: '/b',
+        component: { name: 'B' },
+        children: [{ path: 'c', name: 'c', component: { name: 'C' }}]
+      }
+    ])
+    router.push('/b/c')
+    expect(router.getMatchedComponents().length).toBe(2)
+
+    remove()
+    expect(router.getMatchedComponents().length).toBe(0)
+    expect(router.resolve({ name: 'c' }).route.matched.length).toBe(0)
+    expect(router.resolve('/a').route.matched.length).toBe(1)
+  })
+})
+
+describe('router.on', () => {
+  let router, events
+
+  beforeEach(() => {
+    events = []
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', component: () => Promise.resolve({ name: 'A' }) },
+        { path: '/b', component: { name: 'B' }}
+      ]
+    })
+    ;[
+      'navigationStart',
+      'guardResolved',
+      'componentsResolved',
+      'navigationEnd',
+      'navigationFailed'
+    ].forEach(name => {
+      router.on(name, payload => {
+        events.push({ name, payload })
+      })
+    })
+  })
+
+  it('emits lifecycle events with timing data', done => {
+    router.beforeEach(function auth (to, from, next) {
+      setTimeout(next, 5)
+    })
+    router.push('/a').then(route => {
+      expect(events.map(e => e.name)).toEqual([
+        'navigationStart',
+        'guardResolved',
+        'componentsResolved',
+        'navigationEnd'
+      ])
+      events.forEach(({ payload }) => {
+        expect(payload.to).toBe(route)
+        expect(typeof payload.timestamp).toBe('number')
+        expect(typeof payload.duration).toBe('number')
+      })
+      expect(events[1].payload.guard.name).toBe('beforeEach')
+      expect(events[1].payload.guardDuration).toBeGreaterThan(0)
+      expect(events[2].payload.guardDuration).toEqual(jasmine.any(Number))
+      // duration始终是距离导航开始的时间
+      expect(events[3].payload.duration).not.toBeLessThan(events[1].payload.guardDuration)
+      done()
+    })
+  })
+
+  it('does not emit navigationStart for duplicated navigations', done => {
+    router.push('/b').then(() => {
+      events = []
+      return router.push('/b')
+    }).catch(err => {
+      expect(events.map(e => e.name)).toEqual(['navigationFailed'])
+      expect(events[0].payload.error).toBe(err)
+      done()
+    })
+  })
+
+  it('passes listener errors to onError', done => {
+    const err = new Error('listener')
+    const onError = jasmine.createSpy('onError')
+    router.onError(onError)
+    router.on('navigationStart', () => { throw err })
+    router.push('/b').then(route => {
+      expect(route.path).toBe('/b')
+      expect(onError).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('emits navigationFailed', done => {
+    router.beforeEach((to, from, next) => next(false))
+    router.push('/b').catch(err => {
+      expect(events.map(e => e.name)).toEqual([
+        'navigationStart',
+        'guardResolved',
+        'navigationFailed'
+      ])
+      expect(events[1].payload.result).toBe(false)
+      expect(events[2].payload.error).toBe(err)
+      done()
+    })
+  })
+
+  it('returns a function that removes the listener', () => {
+    const spy = jasmine.createSpy('listener')
+    const off = router.on('navigationEnd', spy)
+    off()
+    router.push('/b')
+    expect(spy).not.toHaveBeenCalled()
+  })
+})
+
 describe('router.push/replace', () => {
   let calls = []
   let router, spy1, spy2
@@ -238,6 +545,187 @@ describe('router.push/replace', () => {
   })
 })
 
+/* global AbortController */
+describe('router.push/replace with an AbortSignal', () => {
+  const { isNavigationFailure, NavigationFailureType } = Router
+  let router, controller, pendingNext
+
+  beforeEach(() => {
+    controller = new AbortController()
+    router = new Router({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/foo',
+          component: { name: 'Foo' },
+          beforeEnter: (to, from, next) => { pendingNext = next }
+        },
+        { path: '/bar', component: { name: 'Bar' }}
+      ]
+    })
+  })
+
+  it('cancels the navigation while a guard is pending', done => {
+    const afterEach = jasmine.createSpy('afterEach')
+    const failed = jasmine.createSpy('navigationFailed')
+    router.afterEach(afterEach)
+    router.on('navigationFailed', failed)
+    router.push('/foo', { signal: controller.signal }).catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(err.message).toBe(
+        'Navigation cancelled from "/" to "/foo" by an AbortSignal.'
+      )
+      expect(router.history.pending).toBe(null)
+      // 守卫之后调用的next不会继续导航，也不会再次产生失败
+      pendingNext()
+      expect(router.currentRoute.path).toBe('/')
+      expect(afterEach).toHaveBeenCalledTimes(1)
+      expect(failed).toHaveBeenCalledTimes(1)
+      done()
+    })
+    controller.abort()
+  })
+
+  it('stops the remaining guards', done => {
+    const beforeResolve = jasmine.createSpy('beforeResolve')
+    router.beforeResolve(beforeResolve)
+    router.replace('/foo', { signal: controller.signal }).catch(() => {
+      pendingNext()
+      expect(beforeResolve).not.toHaveBeenCalled()
+      done()
+    })
+    controller.abort()
+  })
+
+  it('does not start with an aborted signal', done => {
+    const beforeEach = jasmine.createSpy('beforeEach')
+    router.beforeEach(beforeEach)
+    controller.abort()
+    router.push('/bar', { signal: controller.signal }).catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(beforeEach).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('resolves normally and ignores later aborts', done => {
+    router.push('/bar', { signal: controller.signal }).then(route => {
+      expect(route.path).toBe('/bar')
+      controller.abort()
+      expect(router.currentRoute.path).toBe('/bar')
+      done()
+    })
+  })
+
+  it('passes the signal to guards and loaders', done => {
+    const guard = jasmine.createSpy('beforeEach').and.callFake((to, from, next) => next())
+    const factory = jasmine.createSpy('factory').and.returnValue(Promise.resolve({ name: 'Baz' }))
+    const loader = jasmine.createSpy('loader')
+    router.addRoute({ path: '/baz', component: factory, loader })
+    router.beforeEach(guard)
+    router.push('/baz', { signal: controller.signal }).then(() => {
+      expect(guard.calls.argsFor(0)[3]).toBe(controller.signal)
+      expect(factory.calls.argsFor(0).length).toBe(2)
+      expect(loader.calls.argsFor(0)[1]).toBe(controller.signal)
+      done()
+    })
+  })
+
+  it('passes the signal to in-component guards', done => {
+    const enter = jasmine.createSpy('beforeRouteEnter').and.callFake((to, from, next) => next())
+    router.addRoute({ path: '/baz', component: { beforeRouteEnter: enter }})
+    router.push('/baz', { signal: controller.signal }).then(() => {
+      expect(enter.calls.argsFor(0)[3]).toBe(controller.signal)
+      done()
+    })
+  })
+})
+
+describe('navigation info', () => {
+  let router, afterEach
+
+  beforeEach(() => {
+    router = new Router({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/foo', component: { name: 'Foo' }},
+        { path: '/bar', component: { name: 'Bar' }}
+      ]
+    })
+    afterEach = jasmine.createSpy('afterEach')
+    router.afterEach(afterEach)
+  })
+
+  function lastInfo () {
+    return afterEach.calls.mostRecent().args[3]
+  }
+
+  it('reports the type, direction and delta to afterEach hooks', () => {
+    router.push('/')
+    expect(lastInfo()).toEqual({ type: 'push', direction: 'forward', delta: 1 })
+    router.push('/foo')
+    router.push('/bar')
+    router.go(-2)
+    expect(lastInfo()).toEqual({ type: 'pop', direction: 'back', delta: -2 })
+    router.forward()
+    expect(lastInfo()).toEqual({ type: 'pop', direction: 'forward', delta: 1 })
+    router.replace('/')
+    expect(lastInfo()).toEqual({ type: 'replace', direction: 'unknown', delta: 0 })
+    expect(router.history.navigation).toBe(lastInfo())
+  })
+
+  it('passes the info to navigation guards', () => {
+    const beforeEach = jasmine.createSpy('beforeEach').and.callFake((to, from, next) => next())
+    const enter = jasmine.createSpy('beforeRouteEnter').and.callFake((to, from, next) => next())
+    router.addRoute({ path: '/baz', component: { beforeRouteEnter: enter }})
+    router.beforeEach(beforeEach)
+    router.push('/baz')
+    router.push('/foo')
+    router.back()
+    expect(beforeEach.calls.argsFor(0)[4]).toEqual({ type: 'push', direction: 'forward', delta: 1 })
+    expect(beforeEach.calls.argsFor(2)[4]).toEqual({ type: 'pop', direction: 'back', delta: -1 })
+    expect(enter.calls.argsFor(1)[4]).toEqual({ type: 'pop', direction: 'back', delta: -1 })
+  })
+
+  it('keeps the direction of navigations redirected by guards', () => {
+    router.push('/foo')
+    router.push('/bar')
+    router.beforeEach((to, from, next) => {
+      if (to.path === '/foo') next('/')
+      else if (to.path === '/') next({ path: '/baz', replace: true })
+      else next()
+    })
+    router.addRoute({ path: '/baz', component: { name: 'Baz' }})
+    router.back()
+    expect(router.currentRoute.path).toBe('/baz')
+    expect(lastInfo()).toEqual({ type: 'replace', direction: 'back', delta: 0 })
+  })
+
+  it('reports the initial navigation as a replace', () => {
+    router = new Router({
+      routes: [{ path: '/', component: { name: 'Home' }}],
+      initialEntries: ['/']
+    })
+    router.afterEach(afterEach)
+    new Vue({ router })
+    expect(lastInfo()).toEqual({ type: 'replace', direction: 'unknown', delta: 0 })
+  })
+
+  it('passes the info to scrollBehavior', () => {
+    const scrollBehavior = jasmine.createSpy('scrollBehavior').and.returnValue(false)
+    const info = { type: 'pop', direction: 'back', delta: -1 }
+    const fakeRouter = {
+      app: { $nextTick: fn => fn() },
+      options: { scrollBehavior },
+      history: { navigation: info }
+    }
+    const to = router.match('/foo')
+    const from = router.match('/')
+    handleScroll(fakeRouter, to, from, true)
+    expect(scrollBehavior).toHaveBeenCalledWith(to, from, undefined, info)
+  })
+})
+
 describe('router app destroy handling', () => {
   Vue.use(Router)
 
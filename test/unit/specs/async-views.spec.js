@@ -0,0 +1,520 @@
+/* global AbortController */
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import RouterView from '../../../src/components/view'
+
+Vue.use(VueRouter)
+
+// 直接调用<router-view>的render函数，parent为模拟的组件实例
+function renderView (router, parent) {
+  parent.$route = router.currentRoute
+  parent.$router = router
+  return RouterView.render(null, {
+    props: { name: 'default' },
+    children: undefined,
+    parent,
+    data: {}
+  })
+}
+
+function createParent () {
+  const parent = {
+    $createElement: (tag, data) => ({ tag, data }),
+    $forceUpdate: jasmine.createSpy('forceUpdate')
+  }
+  parent._routerRoot = parent
+  return parent
+}
+
+// 模拟渲染出的组件实例的创建，像install中注入的beforeCreate一样调用registerRouteInstance
+function mountView (router, parent) {
+  const vnode = renderView(router, parent)
+  const vm = { $parent: parent }
+  vnode.data.registerRouteInstance(vm, vm)
+  vm.$destroy = () => vnode.data.registerRouteInstance(vm)
+  return vm
+}
+
+describe('async route views', () => {
+  const Foo = { name: 'Foo' }
+  const ErrorView = { name: 'ErrorView', props: ['error', 'retry'] }
+  const LoadingView = { name: 'LoadingView' }
+
+  it('confirms the navigation and renders errorComponent when loading fails', done => {
+    let attempts = 0
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          errorComponent: ErrorView,
+          component: () => {
+            attempts++
+            return attempts === 1
+              ? Promise.reject(new Error('network'))
+              : Promise.resolve(Foo)
+          }
+        }
+      ]
+    })
+    const onError = jasmine.createSpy('onError')
+    router.onError(onError)
+    spyOn(console, 'warn')
+    const parent = createParent()
+
+    router.push('/foo').then(route => {
+      expect(route.path).toBe('/foo')
+      expect(onError).not.toHaveBeenCalled()
+
+      const vnode = renderView(router, parent)
+      expect(vnode.tag).toBe(ErrorView)
+      expect(vnode.data.props.error.message).toBe('network')
+
+      mountView(router, parent)
+      vnode.data.props.retry()
+      return Promise.resolve()
+    }).then(() => {
+      expect(attempts).toBe(2)
+      expect(parent.$forceUpdate).toHaveBeenCalled()
+      expect(renderView(router, parent).tag).toBe(Foo)
+      done()
+    })
+  })
+
+  it('renders loadingComponent while retrying', done => {
+    let resolveFoo
+    let attempts = 0
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          errorComponent: ErrorView,
+          component: () => {
+            attempts++
+            return attempts === 1
+              ? Promise.reject(new Error('network'))
+              : new Promise(resolve => { resolveFoo = resolve })
+          }
+        }
+      ]
+    })
+    spyOn(console, 'warn')
+    const parent = createParent()
+
+    router.push('/foo').then(() => {
+      renderView(router, parent).data.props.retry()
+      // 没有loadingComponent时渲染空节点
+      expect(renderView(router, parent).tag).toBeUndefined()
+      router.currentRoute.matched[0].loadingComponent = LoadingView
+      expect(renderView(router, parent).tag).toBe(LoadingView)
+      resolveFoo(Foo)
+      return Promise.resolve()
+    }).then(() => {
+      expect(renderView(router, parent).tag).toBe(Foo)
+      done()
+    })
+  })
+
+  it('does not wait for components of routes with a loadingComponent', done => {
+    let resolveFoo
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    const parent = createParent()
+
+    router.push('/foo').then(route => {
+      expect(route.path).toBe('/foo')
+      expect(renderView(router, parent).tag).toBe(LoadingView)
+      mountView(router, parent)
+      resolveFoo(Foo)
+      return Promise.resolve()
+    }).then(() => {
+      expect(parent.$forceUpdate).toHaveBeenCalled()
+      expect(renderView(router, parent).tag).toBe(Foo)
+      done()
+    })
+  })
+
+  it('runs beforeRouteEnter of components loaded with a loadingComponent', done => {
+    let resolveFoo
+    const enter = jasmine.createSpy('enter').and.callFake((to, from, next) => next())
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    const parent = createParent()
+
+    router.push('/foo').then(() => {
+      expect(enter).not.toHaveBeenCalled()
+      expect(renderView(router, parent).tag).toBe(LoadingView)
+      resolveFoo({ name: 'Foo', beforeRouteEnter: enter })
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      expect(enter).toHaveBeenCalledTimes(1)
+      expect(enter.calls.argsFor(0)[0].path).toBe('/foo')
+      expect(renderView(router, parent).tag.name).toBe('Foo')
+      done()
+    })
+  })
+
+  it('does not render lazily loaded components rejected by beforeRouteEnter', done => {
+    let resolveFoo
+    const router = new VueRouter({
+      routes: [
+        { path: '/login', component: LoadingView },
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          errorComponent: ErrorView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    const parent = createParent()
+    let enterNext
+
+    router.push('/foo').then(() => {
+      resolveFoo({
+        name: 'Foo',
+        beforeRouteEnter: (to, from, next) => { enterNext = next }
+      })
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      // 守卫resolve之前不渲染加载完成的组件
+      expect(renderView(router, parent).tag).toBe(LoadingView)
+      enterNext('/login')
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      expect(router.currentRoute.path).toBe('/login')
+      const match = router.match('/foo').matched[0]
+      expect(match.asyncStatus.default.error.type).toBe(VueRouter.NavigationFailureType.redirected)
+      done()
+    })
+  })
+
+  it('runs the guards of lazily loaded components like navigation guards', done => {
+    let resolveFoo
+    const controller = new AbortController()
+    const router = new VueRouter({
+      guardTimeout: 10,
+      routes: [
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          errorComponent: ErrorView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    spyOn(console, 'warn')
+    const resolved = jasmine.createSpy('guardResolved')
+    router.on('guardResolved', resolved)
+    const enter = jasmine.createSpy('enter').and.callFake((to, from, next) => next())
+    const stuck = (to, from, next) => {}
+
+    router.push('/foo', { signal: controller.signal }).then(() => {
+      resolveFoo({ name: 'Foo', beforeRouteEnter: [enter, stuck] })
+      return new Promise(resolve => setTimeout(resolve, 20))
+    }).then(() => {
+      expect(enter.calls.argsFor(0)[3]).toBe(controller.signal)
+      expect(resolved.calls.argsFor(0)[0].guard.name).toBe('beforeRouteEnter')
+      expect(resolved.calls.argsFor(0)[0].to.path).toBe('/foo')
+      const match = router.currentRoute.matched[0]
+      expect(match.asyncStatus.default.error.name).toBe('NavigationGuardTimeout')
+      expect(console.warn.calls.argsFor(0)[0]).toMatch('"beforeRouteEnter" guard of component "Foo"')
+      done()
+    })
+  })
+
+  it('stops running the guards of lazily loaded components once the signal is aborted', done => {
+    let resolveFoo
+    const controller = new AbortController()
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    const second = jasmine.createSpy('second')
+    const first = (to, from, next) => {
+      controller.abort()
+      next()
+    }
+
+    router.push('/foo', { signal: controller.signal }).then(() => {
+      resolveFoo({ name: 'Foo', beforeRouteEnter: [first, second] })
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      expect(second).not.toHaveBeenCalled()
+      const match = router.currentRoute.matched[0]
+      expect(match.asyncStatus.default.error.type).toBe(VueRouter.NavigationFailureType.cancelled)
+      done()
+    })
+  })
+
+  it('runs the guards again in the next navigation after they rejected the view', done => {
+    let resolveFoo
+    let allow = false
+    const enter = jasmine.createSpy('enter').and.callFake((to, from, next) => {
+      next(allow ? undefined : new Error('denied'))
+    })
+    const router = new VueRouter({
+      routes: [
+        { path: '/', component: LoadingView },
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          errorComponent: ErrorView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    router.onError(() => {})
+    const parent = createParent()
+
+    router.push('/foo').then(() => {
+      resolveFoo({ name: 'Foo', beforeRouteEnter: enter })
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      expect(renderView(router, parent).tag).toBe(ErrorView)
+      allow = true
+      return router.push('/')
+    }).then(() => router.push('/foo')).then(() => {
+      expect(enter).toHaveBeenCalledTimes(2)
+      expect(renderView(router, parent).tag.name).toBe('Foo')
+      done()
+    })
+  })
+
+  it('re-renders every <router-view> showing the view until it is destroyed', done => {
+    let resolveFoo
+    const router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          loadingComponent: LoadingView,
+          component: () => new Promise(resolve => { resolveFoo = resolve })
+        }
+      ]
+    })
+    const first = createParent()
+    const second = createParent()
+
+    router.push('/foo').then(() => {
+      const firstView = mountView(router, first)
+      const secondView = mountView(router, second)
+      const status = router.currentRoute.matched[0].asyncStatus.default
+      expect(status.views).toEqual([firstView, secondView])
+      // 渲染本身不记录任何实例
+      renderView(router, first)
+      expect(status.views).toEqual([firstView, secondView])
+      firstView.$destroy()
+      expect(status.views).toEqual([secondView])
+      resolveFoo(Foo)
+      return new Promise(resolve => setTimeout(resolve))
+    }).then(() => {
+      expect(first.$forceUpdate).not.toHaveBeenCalled()
+      expect(second.$forceUpdate).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('loads the component once while navigating to it again', done => {
+    let resolveFoo
+    const factory = jasmine.createSpy('factory').and.callFake(() => {
+      return new Promise(resolve => { resolveFoo = resolve })
+    })
+    const router = new VueRouter({
+      routes: [
+        { path: '/foo', loadingComponent: LoadingView, component: factory },
+        { path: '/bar', component: LoadingView }
+      ]
+    })
+    const parent = createParent()
+
+    router.push('/foo')
+      .then(() => router.push('/bar'))
+      .then(() => router.push('/foo'))
+      .then(() => {
+        expect(factory).toHaveBeenCalledTimes(1)
+        resolveFoo(Foo)
+        return new Promise(resolve => setTimeout(resolve))
+      }).then(() => {
+        expect(factory).toHaveBeenCalledTimes(1)
+        expect(renderView(router, parent).tag).toBe(Foo)
+        done()
+      })
+  })
+
+  it('still aborts the navigation for routes without errorComponent', done => {
+    const router = new VueRouter({
+      routes: [
+        { path: '/foo', component: () => Promise.reject(new Error('network')) }
+      ]
+    })
+    spyOn(console, 'warn')
+    router.onError(() => {})
+    router.push('/foo').catch(err => {
+      expect(err.message).toBe('network')
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+})
+
+describe('async component retry', () => {
+  const Foo = { name: 'Foo' }
+
+  // 前failures次加载失败的异步组件
+  function flaky (failures) {
+    const factory = jasmine.createSpy('factory').and.callFake(() => {
+      return factory.calls.count() <= failures
+        ? Promise.reject(new Error(`attempt ${factory.calls.count()}`))
+        : Promise.resolve(Foo)
+    })
+    return factory
+  }
+
+  beforeEach(() => {
+    spyOn(console, 'warn')
+    jasmine.clock().install()
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+  })
+
+  // 等待promise回调执行，并推进重试的定时器
+  function tick (ms) {
+    return new Promise(resolve => setImmediate(resolve)).then(() => {
+      jasmine.clock().tick(ms)
+    })
+  }
+
+  it('does not retry by default and passes the original error', done => {
+    const factory = flaky(1)
+    const router = new VueRouter({ routes: [{ path: '/foo', component: factory }] })
+    const onError = jasmine.createSpy('onError')
+    router.onError(onError)
+    router.push('/foo').catch(err => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      expect(err.message).toBe('attempt 1')
+      expect(onError).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('stops retrying when the navigation is superseded', done => {
+    const factory = flaky(5)
+    const router = new VueRouter({
+      componentRetry: { count: 5, delay: 100 },
+      routes: [
+        { path: '/', component: Foo },
+        { path: '/foo', component: factory }
+      ]
+    })
+    router.push('/foo').catch(() => {})
+    tick(0).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      return router.push('/')
+    }).then(() => tick(1000)).then(() => tick(1000)).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('retries with the router options and backs off', done => {
+    const factory = flaky(2)
+    const router = new VueRouter({
+      componentRetry: { count: 2, delay: 100 },
+      routes: [{ path: '/foo', component: factory }]
+    })
+    router.push('/foo').then(route => {
+      expect(factory).toHaveBeenCalledTimes(3)
+      expect(route.matched[0].components.default).toBe(Foo)
+      done()
+    })
+    tick(99).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      return tick(1)
+    }).then(() => {
+      expect(factory).toHaveBeenCalledTimes(2)
+      return tick(199)
+    }).then(() => {
+      expect(factory).toHaveBeenCalledTimes(2)
+      return tick(1)
+    })
+  })
+
+  it('lets routes override the router options', done => {
+    const factory = flaky(3)
+    const router = new VueRouter({
+      componentRetry: { count: 5 },
+      routes: [{ path: '/foo', component: factory, componentRetry: { count: 1 }}]
+    })
+    router.onError(() => {})
+    router.push('/foo').catch(err => {
+      expect(factory).toHaveBeenCalledTimes(2)
+      expect(err.attempts).toBe(2)
+      done()
+    })
+    tick(0)
+  })
+
+  it('asks shouldRetry before each retry', done => {
+    const factory = flaky(3)
+    const shouldRetry = jasmine.createSpy('shouldRetry').and.callFake((_, attempt) => attempt < 2)
+    const router = new VueRouter({
+      routes: [{ path: '/foo', component: factory, componentRetry: { count: 3, shouldRetry }}]
+    })
+    router.onError(() => {})
+    router.push('/foo').catch(err => {
+      expect(factory).toHaveBeenCalledTimes(2)
+      expect(shouldRetry.calls.argsFor(0)[0].message).toBe('attempt 1')
+      expect(shouldRetry.calls.argsFor(0)[1]).toBe(1)
+      expect(shouldRetry.calls.argsFor(0)[2]).toEqual({
+        record: router.getRoutes()[0],
+        view: 'default'
+      })
+      expect(err.cause.message).toBe('attempt 2')
+      done()
+    })
+    tick(0)
+  })
+
+  it('fails with an error naming the record and the view', done => {
+    const router = new VueRouter({
+      componentRetry: { count: 1 },
+      routes: [{
+        path: '/foo',
+        components: { default: Foo, sidebar: flaky(2) }
+      }]
+    })
+    const onError = jasmine.createSpy('onError')
+    router.onError(onError)
+    router.push('/foo').catch(err => {
+      expect(onError).toHaveBeenCalledWith(err)
+      expect(err.record).toBe(router.getRoutes()[0])
+      expect(err.view).toBe('sidebar')
+      expect(err.attempts).toBe(2)
+      expect(err.message).toBe(
+        'Failed to resolve async component "sidebar" of route "/foo" after 2 attempts: attempt 2'
+      )
+      done()
+    })
+    tick(0)
+  })
+})
@@ -1,5 +1,5 @@
 /*eslint-disable no-undef*/
-import { createRouteMap } from '../../../src/create-route-map'
+import { createRouteMap, removeRouteRecord } from '../../../src/create-route-map'
 
 const Home = { template: '<div>This is Home</div>' }
 const Foo = { template: '<div>This is Foo</div>' }
@@ -247,4 +247,39 @@ describe('Creating Route Map', function () {
       expect(pathList).toEqual(['/foo/', '/bar'])
     })
   })
+
+  describe('removing records', function () {
+    it('removes a record with its children and aliases', function () {
+      const { pathList, pathMap, nameMap } = createRouteMap([
+        { path: '/foo', name: 'foo', component: Foo },
+        {
+          path: '/bar',
+          name: 'bar',
+          component: Bar,
+          alias: '/bar-alias',
+          children: [{ path: 'baz', name: 'bar.baz', component: Baz }]
+        }
+      ])
+
+      removeRouteRecord(pathList, pathMap, nameMap, nameMap.bar)
+
+      expect(pathList).toEqual(['/foo'])
+      expect(Object.keys(pathMap)).toEqual(['/foo'])
+      expect(Object.keys(nameMap)).toEqual(['foo'])
+    })
+
+    it('returns the added top level records', function () {
+      const { records, nameMap } = createRouteMap([
+        { path: '/foo', name: 'foo', component: Foo },
+        {
+          path: '/bar',
+          name: 'bar',
+          component: Bar,
+          children: [{ path: 'baz', name: 'bar.baz', component: Baz }]
+        }
+      ])
+
+      expect(records).toEqual([nameMap.foo, nameMap.bar])
+    })
+  })
 })
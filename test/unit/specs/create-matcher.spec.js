@@ -75,4 +75,22 @@ describe('Creating Matcher', function () {
     const { params } = match({ path: '/not-found' }, routes[0])
     expect(params).toEqual({ pathMatch: '/not-found' })
   })
+
+  it('copies the location state into route.state', function () {
+    const state = { from: { list: 'users' }}
+    expect(match({ path: '/foo', state }).state).toEqual(state)
+    expect(match({ name: 'foo', state }).state).toEqual(state)
+    expect(match({ path: '/foo', state }).state.from).not.toBe(state.from)
+    expect(match('/foo').state).toEqual({})
+  })
+
+  it('keeps the location state through redirects', function () {
+    const { match } = createMatcher([
+      { path: '/foo', component: { name: 'foo' }},
+      { path: '/old-foo', redirect: '/foo' },
+      { path: '/reset', redirect: { path: '/foo', state: {}}}
+    ])
+    expect(match({ path: '/old-foo', state: { a: 1 }}).state).toEqual({ a: 1 })
+    expect(match({ path: '/reset', state: { a: 1 }}).state).toEqual({})
+  })
 })
@@ -0,0 +1,82 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { setupDevtools } from '../../../src/util/devtools'
+
+Vue.use(VueRouter)
+
+describe('devtools', () => {
+  let router, hook
+
+  const eventsOf = name => hook.emit.calls.allArgs().filter(args => args[0] === name)
+
+  beforeEach(() => {
+    hook = { emit: jasmine.createSpy('emit') }
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/parent',
+          name: 'parent',
+          component: { name: 'Parent' },
+          children: [{ path: 'child', component: { name: 'Child' }}]
+        }
+      ]
+    })
+    setupDevtools(router, hook)
+  })
+
+  it('publishes the route tree on init', () => {
+    const [, initRouter, state] = eventsOf('vue-router:init')[0]
+    expect(initRouter).toBe(router)
+    expect(state.routes.map(r => r.path)).toEqual(['/', '/parent'])
+    expect(state.routes[1].children.map(r => r.path)).toEqual(['/parent/child'])
+    expect(state.current.fullPath).toBe('/')
+    expect(state.pending).toBe(null)
+  })
+
+  it('publishes the pending and current routes', done => {
+    router.beforeEach((to, from, next) => {
+      expect(eventsOf('vue-router:pending')[0][1].fullPath).toBe('/parent/child')
+      next()
+    })
+    router.push('/parent/child').then(() => {
+      const state = eventsOf('vue-router:init')[0][2]
+      expect(state.current.fullPath).toBe('/parent/child')
+      expect(state.current.matched).toEqual(['/parent', '/parent/child'])
+      expect(state.pending).toBe(null)
+      expect(eventsOf('vue-router:current')[0][1]).toBe(state.current)
+      done()
+    })
+  })
+
+  it('records a timeline of navigations with their guards', done => {
+    router.beforeEach(function auth (to, from, next) {
+      next(to.path === '/parent' ? false : undefined)
+    })
+    router.push('/parent').catch(() => {
+      router.push('/parent/child').then(() => {
+        const { timeline } = eventsOf('vue-router:init')[0][2]
+        expect(timeline.map(item => item.status)).toEqual(['aborted', 'confirmed'])
+        expect(timeline[0].to).toBe('/parent')
+        expect(timeline[0].guards).toEqual([
+          jasmine.objectContaining({ name: 'beforeEach', outcome: 'abort' })
+        ])
+        expect(timeline[1].guards[0].outcome).toBe('next')
+        expect(eventsOf('vue-router:navigation').length).toBe(2)
+        done()
+      })
+    })
+  })
+
+  it('publishes the route tree again when routes change', () => {
+    router.addRoute({ path: '/new', component: { name: 'New' }})
+    router.push('/new')
+    const routes = eventsOf('vue-router:routes')
+    expect(routes.length).toBe(2)
+    expect(routes[1][1].map(r => r.path)).toEqual(['/', '/parent', '/new'])
+  })
+
+  it('does nothing without a hook', () => {
+    expect(() => setupDevtools(router)).not.toThrow()
+  })
+})
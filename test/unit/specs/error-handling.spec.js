@@ -1,6 +1,8 @@
 import Vue from 'vue'
 import VueRouter from '../../../src/index'
 
+const { isNavigationFailure, NavigationFailureType } = VueRouter
+
 Vue.use(VueRouter)
 
 describe('error handling', () => {
@@ -62,4 +64,87 @@ describe('error handling', () => {
       done()
     })
   })
+
+  describe('navigation failures', () => {
+    let router
+
+    beforeEach(() => {
+      router = new VueRouter({
+        routes: [
+          { path: '/', component: { name: 'Home' }},
+          { path: '/foo', component: { name: 'Foo' }},
+          { path: '/bar', component: { name: 'Bar' }}
+        ]
+      })
+    })
+
+    it('duplicated', done => {
+      router.push('/foo').then(() => {
+        router.push('/foo').catch(err => {
+          expect(isNavigationFailure(err, NavigationFailureType.duplicated)).toBe(true)
+          expect(err.from.path).toBe('/foo')
+          expect(err.to.path).toBe('/foo')
+          done()
+        })
+      })
+    })
+
+    it('aborted', done => {
+      router.beforeEach((to, from, next) => next(false))
+      router.push('/foo').catch(err => {
+        expect(isNavigationFailure(err, NavigationFailureType.aborted)).toBe(true)
+        expect(isNavigationFailure(err, NavigationFailureType.redirected)).toBe(false)
+        expect(err.from).toBe(router.currentRoute)
+        expect(err.to.path).toBe('/foo')
+        done()
+      })
+    })
+
+    it('redirected', done => {
+      router.beforeEach((to, from, next) => {
+        if (to.path === '/foo') next('/bar')
+        else next()
+      })
+      router.push('/foo').catch(err => {
+        expect(isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+        expect(err.to.path).toBe('/foo')
+        expect(router.currentRoute.path).toBe('/bar')
+        done()
+      })
+    })
+
+    it('cancelled', done => {
+      router.beforeEach((to, from, next) => {
+        setTimeout(next, 1)
+      })
+      router.push('/foo').catch(err => {
+        expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+        expect(err.to.path).toBe('/foo')
+        done()
+      })
+      router.push('/bar')
+    })
+
+    it('passes failures to afterEach hooks without calling onError', done => {
+      const onError = jasmine.createSpy('error')
+      const afterEach = jasmine.createSpy('afterEach')
+      router.onError(onError)
+      router.afterEach(afterEach)
+      router.beforeEach((to, from, next) => next(false))
+      router.push('/foo').catch(err => {
+        expect(afterEach).toHaveBeenCalledWith(err.to, err.from, err, {
+          type: 'push',
+          direction: 'forward',
+          delta: 1
+        })
+        expect(onError).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('checks any failure when no type is given', () => {
+      expect(isNavigationFailure(new Error('foo'))).toBe(false)
+      expect(isNavigationFailure(undefined)).toBe(false)
+    })
+  })
 })
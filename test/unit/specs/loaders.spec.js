@@ -0,0 +1,169 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+const { isNavigationFailure, NavigationFailureType } = VueRouter
+
+describe('route loaders', () => {
+  let router, userLoader, postsLoader
+
+  beforeEach(() => {
+    userLoader = jasmine.createSpy('user').and.callFake(route => {
+      return Promise.resolve({ user: `user ${route.params.id}` })
+    })
+    postsLoader = jasmine.createSpy('posts').and.callFake(route => {
+      return { posts: [route.params.id] }
+    })
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/user/:id',
+          component: { name: 'User' },
+          loader: userLoader,
+          children: [
+            { path: '', component: { name: 'Profile' }},
+            { path: 'posts', component: { name: 'Posts' }, loader: postsLoader }
+          ]
+        },
+        {
+          path: '/error',
+          component: { name: 'Error' },
+          loader: () => Promise.reject(new Error('failed'))
+        }
+      ]
+    })
+  })
+
+  it('merges the results of all matched loaders into route.data', done => {
+    router.push('/user/1/posts').then(route => {
+      expect(route.data).toEqual({ user: 'user 1', posts: ['1'] })
+      expect(router.currentRoute.data).toBe(route.data)
+      expect(userLoader.calls.argsFor(0)[0]).toBe(route)
+      done()
+    })
+  })
+
+  it('runs loaders in parallel right before the navigation is confirmed', done => {
+    const calls = []
+    let resolveUser
+    userLoader.and.callFake(() => {
+      calls.push('user')
+      return new Promise(resolve => { resolveUser = resolve })
+    })
+    postsLoader.and.callFake(() => {
+      calls.push('posts')
+      return {}
+    })
+    router.on('componentsResolved', () => calls.push('components'))
+    router.beforeResolve((to, from, next) => {
+      calls.push('beforeResolve')
+      next()
+    })
+    router.push('/user/1/posts').then(() => {
+      expect(calls).toEqual(['components', 'beforeResolve', 'user', 'posts'])
+      done()
+    })
+    setTimeout(() => resolveUser({}), 0)
+  })
+
+  it('reuses data of records whose params did not change', done => {
+    router.push('/user/1/posts').then(() => {
+      return router.push('/user/1')
+    }).then(route => {
+      expect(userLoader).toHaveBeenCalledTimes(1)
+      expect(route.data).toEqual({ user: 'user 1' })
+      return router.push('/user/2')
+    }).then(route => {
+      expect(userLoader).toHaveBeenCalledTimes(2)
+      expect(route.data).toEqual({ user: 'user 2' })
+      done()
+    })
+  })
+
+  it('reloads data when the query or the hash change', done => {
+    router.push('/user/1').then(() => {
+      return router.push('/user/1?tab=posts')
+    }).then(route => {
+      expect(userLoader).toHaveBeenCalledTimes(2)
+      expect(route.data).toEqual({ user: 'user 1' })
+      return router.push('/user/1?tab=posts#top')
+    }).then(() => {
+      expect(userLoader).toHaveBeenCalledTimes(3)
+      done()
+    })
+  })
+
+  it('lets records decide whether to reload', done => {
+    const shouldReload = jasmine.createSpy('shouldReload').and.callFake((to, from) => {
+      return to.params.id !== from.params.id
+    })
+    router = new VueRouter({
+      routes: [
+        { path: '/user/:id', component: { name: 'User' }, loader: userLoader, shouldReload }
+      ]
+    })
+    router.push('/user/1').then(() => {
+      return router.push('/user/1?tab=posts')
+    }).then(route => {
+      expect(userLoader).toHaveBeenCalledTimes(1)
+      expect(shouldReload).toHaveBeenCalledWith(route, router.history.previous)
+      expect(route.data).toEqual({ user: 'user 1' })
+      return router.push('/user/2?tab=posts')
+    }).then(() => {
+      expect(userLoader).toHaveBeenCalledTimes(2)
+      done()
+    })
+  })
+
+  it('lets nested routes override keys of their parents', done => {
+    postsLoader.and.returnValue({ user: 'posts user' })
+    router.push('/user/1/posts').then(route => {
+      expect(route.data).toEqual({ user: 'posts user' })
+      done()
+    })
+  })
+
+  it('reloads data that belongs to a cancelled navigation', done => {
+    let resolveUser
+    router.push('/user/1').then(() => {
+      router.beforeEach((to, from, next) => next(to.path !== '/'))
+      userLoader.and.callFake(route => new Promise(resolve => {
+        resolveUser = () => resolve({ user: `user ${route.params.id}` })
+      }))
+      const pending = router.push('/user/2').catch(err => err)
+      // 在loader完成之前被另一个失败的导航取代
+      router.push('/').catch(() => resolveUser())
+      return pending
+    }).then(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      userLoader.and.callFake(route => ({ user: `user ${route.params.id}` }))
+      return router.push('/user/1/posts')
+    }).then(route => {
+      expect(userLoader).toHaveBeenCalledTimes(3)
+      expect(route.data.user).toBe('user 1')
+      done()
+    })
+  })
+
+  it('aborts the navigation with loader errors', done => {
+    const onError = jasmine.createSpy('onError')
+    router.onError(onError)
+    router.push('/error').catch(err => {
+      expect(err.message).toBe('failed')
+      expect(onError).toHaveBeenCalledWith(err)
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+
+  it('reports loaders in guardResolved events', done => {
+    const names = []
+    router.on('guardResolved', ({ guard }) => names.push(guard.name))
+    router.push('/user/1').then(() => {
+      expect(names).toContain('loader')
+      done()
+    })
+  })
+})
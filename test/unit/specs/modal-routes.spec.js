@@ -0,0 +1,178 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import RouterView from '../../../src/components/view'
+import { pushState, createBackgroundStore } from '../../../src/util/push-state'
+import { getStateKey } from '../../../src/util/state-key'
+
+Vue.use(VueRouter)
+
+describe('modal routes', () => {
+  const Photos = { name: 'Photos' }
+  const Photo = { name: 'Photo' }
+  const Comments = { name: 'Comments' }
+  let router
+
+  beforeEach(() => {
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/photos',
+          component: Photos,
+          children: [{ path: 'comments', component: Comments }]
+        },
+        { path: '/photo/:id', component: Photo },
+        { path: '/old-photo/:id', redirect: '/photo/:id' }
+      ]
+    })
+  })
+
+  // 直接调用<router-view>的render函数，parent为模拟的组件实例
+  function renderView (parent, props = {}) {
+    return RouterView.render(null, {
+      props: Object.assign({ name: 'default' }, props),
+      children: undefined,
+      parent,
+      data: {}
+    })
+  }
+
+  function createParent () {
+    const parent = {
+      $route: router.currentRoute,
+      $router: router,
+      $createElement: (tag, data) => ({ tag, data })
+    }
+    parent._routerRoot = parent
+    return parent
+  }
+
+  it('uses the current route as background', done => {
+    router.push('/photos').then(() => {
+      return router.push({ path: '/photo/1', background: true })
+    }).then(route => {
+      expect(route.background.path).toBe('/photos')
+      // modal之间的导航保持同一个背景
+      return router.push({ path: '/photo/2', background: true })
+    }).then(route => {
+      expect(route.background.path).toBe('/photos')
+      return router.push('/photo/3')
+    }).then(route => {
+      expect(route.background).toBeUndefined()
+      done()
+    })
+  })
+
+  it('resolves background locations and keeps them through redirects', () => {
+    const { route } = router.resolve({
+      path: '/old-photo/1',
+      background: { path: '/photos', query: { page: '2' }}
+    })
+    expect(route.path).toBe('/photo/1')
+    expect(route.background.fullPath).toBe('/photos?page=2')
+    expect(route.background.matched[0].components.default).toBe(Photos)
+  })
+
+  it('restores the background when going through the memory history', () => {
+    router.push('/photos')
+    router.push({ path: '/photo/1', background: true })
+    router.push('/')
+    router.back()
+    expect(router.currentRoute.path).toBe('/photo/1')
+    expect(router.currentRoute.background.path).toBe('/photos')
+  })
+
+  it('renders the overlay as a full page on initial navigation', () => {
+    router = new VueRouter({
+      routes: [{ path: '/photo/:id', component: Photo }],
+      initialEntries: [{ path: '/photo/1', background: '/' }]
+    })
+    expect(router.history.stack[0].background.path).toBe('/')
+    new Vue({ router })
+    expect(router.currentRoute.path).toBe('/photo/1')
+    expect(router.currentRoute.background).toBeUndefined()
+  })
+
+  it('renders the background and the overlay in two views', done => {
+    router.push('/photos/comments').then(() => {
+      return router.push({ path: '/photo/1', background: true })
+    }).then(route => {
+      const parent = createParent()
+      const background = renderView(parent, { route: route.background })
+      expect(background.tag).toBe(Photos)
+      expect(background.data.routerViewRoute).toBe(route.background)
+      expect(renderView(parent).tag).toBe(Photo)
+
+      // 背景页面中嵌套的router-view沿用背景route
+      const child = {
+        $route: route,
+        $createElement: parent.$createElement,
+        $vnode: { data: background.data },
+        $parent: parent
+      }
+      expect(renderView(child).tag).toBe(Comments)
+      done()
+    })
+  })
+})
+
+describe('background store', () => {
+  let router, background, store
+
+  beforeEach(() => {
+    router = new VueRouter({ routes: [{ path: '/' }, { path: '/photos' }] })
+    background = router.match('/photos')
+    store = createBackgroundStore()
+  })
+
+  it('keeps only the backgrounds of modal routes', () => {
+    store.set('1.000', background)
+    store.set('2.000', undefined)
+    expect(store.get('1.000')).toBe(background)
+    expect(store.get('2.000')).toBeUndefined()
+    // 替换后的历史记录不再是modal路由
+    store.set('1.000', undefined)
+    expect(store.get('1.000')).toBeUndefined()
+  })
+
+  it('evicts the backgrounds saved first', () => {
+    for (let i = 0; i <= 50; i++) {
+      store.set(`${i}.000`, background)
+    }
+    expect(store.get('0.000')).toBeUndefined()
+    expect(store.get('1.000')).toBe(background)
+    expect(store.get('50.000')).toBe(background)
+  })
+
+  describe('pushState', () => {
+    let route
+
+    beforeEach(() => {
+      route = router.match({ path: '/', background: '/photos' })
+      global.window = {
+        pageXOffset: 0,
+        pageYOffset: 0,
+        history: { state: null, pushState: jasmine.createSpy('pushState') },
+        location: { assign: jasmine.createSpy('assign') }
+      }
+    })
+
+    afterEach(() => {
+      delete global.window
+    })
+
+    it('saves the background with the key of the new entry', () => {
+      pushState('/', false, route, { router, backgrounds: store, scrollPositions: {}})
+      expect(window.history.pushState.calls.argsFor(0)[0].key).toBe(getStateKey())
+      expect(store.get(getStateKey())).toBe(route.background)
+    })
+
+    it('saves nothing when falling back to a page load', () => {
+      window.history.pushState.and.throwError('SecurityError')
+      spyOn(store, 'set')
+      pushState('/', false, route, { router, backgrounds: store, scrollPositions: {}})
+      expect(window.location.assign).toHaveBeenCalledWith('/')
+      expect(store.set).not.toHaveBeenCalled()
+    })
+  })
+})
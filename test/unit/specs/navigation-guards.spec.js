@@ -0,0 +1,271 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+const { isNavigationFailure, NavigationFailureType } = VueRouter
+
+describe('navigation guards returning values', () => {
+  const Foo = { name: 'Foo' }
+  const Bar = { name: 'Bar' }
+  let router
+
+  beforeEach(() => {
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/foo', component: Foo },
+        { path: '/bar', component: Bar }
+      ]
+    })
+  })
+
+  it('continues when a guard returns undefined', done => {
+    router.beforeEach(to => {})
+    router.push('/foo').then(route => {
+      expect(route.path).toBe('/foo')
+      done()
+    })
+  })
+
+  it('aborts when a guard returns false', done => {
+    router.beforeEach(to => false)
+    router.push('/foo').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.aborted)).toBe(true)
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+
+  it('redirects when a guard resolves a location', done => {
+    router.beforeEach(to => {
+      return to.path === '/foo' ? Promise.resolve('/bar') : Promise.resolve()
+    })
+    const onAbort = jasmine.createSpy('abort')
+    router.afterEach((to, from, failure) => {
+      if (!failure) {
+        expect(to.path).toBe('/bar')
+        expect(isNavigationFailure(onAbort.calls.argsFor(0)[0], NavigationFailureType.redirected)).toBe(true)
+        done()
+      }
+    })
+    router.push('/foo').catch(onAbort)
+  })
+
+  it('aborts with the error when a guard rejects', done => {
+    const err = new Error('foo')
+    const onError = jasmine.createSpy('error')
+    router.onError(onError)
+    router.beforeEach(() => Promise.reject(err))
+    router.push('/foo').catch(reason => {
+      expect(reason).toBe(err)
+      expect(onError).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('ignores the return value of guards calling next', done => {
+    router.beforeEach((to, from, next) => {
+      next()
+      return false
+    })
+    router.push('/foo').then(route => {
+      expect(route.path).toBe('/foo')
+      done()
+    })
+  })
+
+  it('waits for next when guards declaring it return undefined', done => {
+    let called = false
+    router.beforeEach((to, from, next) => {
+      setTimeout(() => {
+        called = true
+        next('/bar')
+      }, 1)
+    })
+    router.push('/foo').catch(err => {
+      expect(called).toBe(true)
+      expect(isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+      done()
+    })
+  })
+
+  it('uses the return value of guards declaring next without calling it', done => {
+    router.beforeEach((to, from, next) => to.path === '/foo' ? '/bar' : true)
+    // 返回的定时器不是next能理解的值，等待next被调用
+    router.beforeEach((to, from, next) => setTimeout(next, 1))
+    router.afterEach((to, from, failure) => {
+      if (!failure) {
+        expect(to.path).toBe('/bar')
+        done()
+      }
+    })
+    router.push('/foo').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+    })
+  })
+
+  it('wraps rejection reasons that are not errors', done => {
+    const onError = jasmine.createSpy('error')
+    router.onError(onError)
+    const reasons = [undefined, 'denied', { code: 403 }]
+    router.beforeEach(() => Promise.reject(reasons[0]))
+    router.push('/foo').catch(err => {
+      expect(err.message).toBe('Navigation guard rejected without a reason')
+      expect(err.cause).toBe(undefined)
+      reasons.shift()
+      return router.push('/foo')
+    }).catch(err => {
+      expect(err.message).toBe('denied')
+      reasons.shift()
+      return router.push('/foo')
+    }).catch(err => {
+      expect(err.message).toBe('Navigation guard rejected with a non-Error reason')
+      expect(err.cause).toEqual({ code: 403 })
+      expect(onError).toHaveBeenCalledTimes(3)
+      done()
+    })
+  })
+
+  it('lets guards with default or rest parameters call next', done => {
+    // 默认值参数和rest参数不计入guard.length，同步调用的next同样生效
+    router.beforeEach((to, from, next = () => {}) => {
+      if (to.path === '/foo') next('/bar')
+    })
+    router.beforeEach((...args) => {
+      args[2]()
+    })
+    const failed = jasmine.createSpy('navigationFailed')
+    router.on('navigationFailed', failed)
+    router.push('/foo').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+      expect(router.currentRoute.path).toBe('/bar')
+      expect(failed.calls.count()).toBe(1)
+      done()
+    })
+  })
+
+  it('supports beforeEnter and beforeResolve', done => {
+    const calls = []
+    router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          component: Foo,
+          beforeEnter: () => {
+            calls.push('enter')
+            return Promise.resolve()
+          }
+        }
+      ]
+    })
+    router.beforeResolve(() => {
+      calls.push('resolve')
+      return true
+    })
+    router.push('/foo').then(() => {
+      expect(calls).toEqual(['enter', 'resolve'])
+      done()
+    })
+  })
+
+  it('supports in-component guards', done => {
+    const calls = []
+    router = new VueRouter({
+      routes: [
+        {
+          path: '/foo',
+          component: {
+            beforeRouteEnter () {
+              calls.push('enter')
+              return Promise.resolve()
+            },
+            beforeRouteLeave () {
+              calls.push('leave')
+              return false
+            }
+          }
+        },
+        { path: '/bar', component: Bar }
+      ]
+    })
+    new Vue({ router })
+    router.push('/foo').then(() => {
+      // leave guards only run for mounted instances
+      router.currentRoute.matched[0].instances.default = new Vue()
+      return router.push('/bar')
+    }).catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.aborted)).toBe(true)
+      expect(calls).toEqual(['enter', 'leave'])
+      expect(router.currentRoute.path).toBe('/foo')
+      done()
+    })
+  })
+})
+
+describe('navigation guard timeout', () => {
+  let router
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'development'
+    spyOn(console, 'warn')
+    router = new VueRouter({
+      guardTimeout: 10,
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          path: '/foo',
+          component: { name: 'Foo' },
+          beforeEnter: function stuckEnter (to, from, next) {}
+        },
+        {
+          path: '/bar',
+          component: {
+            name: 'Bar',
+            beforeRouteEnter (to, from, next) {}
+          }
+        },
+        { path: '/baz', component: { name: 'Baz' }}
+      ]
+    })
+    router.onError(() => {})
+  })
+
+  it('aborts the navigation with a dedicated error', done => {
+    const onError = jasmine.createSpy('error')
+    router.onError(onError)
+    router.push('/foo').catch(err => {
+      expect(err.name).toBe('NavigationGuardTimeout')
+      expect(err.to.path).toBe('/foo')
+      expect(onError).toHaveBeenCalledWith(err)
+      expect(router.history.pending).toBe(null)
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+
+  it('warns with the guard, the record and the component', done => {
+    router.push('/foo').catch(() => {
+      expect(console.warn.calls.argsFor(0)[0]).toMatch(
+        '"beforeEnter" guard "stuckEnter" of route "/foo" \\(components: Foo\\)'
+      )
+      router.push('/bar').catch(() => {
+        expect(console.warn.calls.argsFor(1)[0]).toMatch(
+          '"beforeRouteEnter" guard of component "Bar" in route "/bar"'
+        )
+        done()
+      })
+    })
+  })
+
+  it('does not abort guards resolving in time', done => {
+    router.beforeEach((to, from, next) => {
+      setTimeout(next, 1)
+    })
+    router.push('/baz').then(route => {
+      expect(route.path).toBe('/baz')
+      expect(console.warn).not.toHaveBeenCalled()
+      done()
+    })
+  })
+})
@@ -66,4 +66,271 @@ describe('Usage in Node', () => {
     router.back()
     expect(router.history.current.path).toBe('/')
   })
+
+  describe('memory history', () => {
+    const routes = [
+      { path: '/', component: { name: 'home' }},
+      { path: '/foo', component: { name: 'foo' }},
+      { path: '/bar', component: { name: 'bar' }}
+    ]
+
+    it('starts empty', () => {
+      const router = new VueRouter({ routes })
+      expect(router.history.stack).toEqual([])
+      expect(router.history.index).toBe(-1)
+      expect(router.history.getCurrentLocation()).toBe('/')
+    })
+
+    it('seeds initialEntries and navigates to initialIndex on init', () => {
+      const router = new VueRouter({
+        routes,
+        initialEntries: ['/', '/foo', { path: '/bar', query: { a: '1' }}],
+        initialIndex: 1
+      })
+      expect(router.history.stack.map(r => r.fullPath)).toEqual(['/', '/foo', '/bar?a=1'])
+      expect(router.history.index).toBe(1)
+      expect(router.history.getCurrentLocation()).toBe('/foo')
+
+      new Vue({ router })
+      expect(router.currentRoute.path).toBe('/foo')
+      router.forward()
+      expect(router.currentRoute.fullPath).toBe('/bar?a=1')
+      router.go(-2)
+      expect(router.currentRoute.path).toBe('/')
+      expect(router.history.index).toBe(0)
+    })
+
+    it('defaults initialIndex to the last entry and clamps it', () => {
+      let router = new VueRouter({ routes, initialEntries: ['/', '/foo'] })
+      expect(router.history.index).toBe(1)
+      router = new VueRouter({ routes, initialEntries: ['/', '/foo'], initialIndex: 5 })
+      expect(router.history.index).toBe(1)
+      router = new VueRouter({ routes, initialEntries: ['/', '/foo'], initialIndex: -3 })
+      expect(router.history.index).toBe(0)
+    })
+
+    it('exposes stack and index read-only', () => {
+      const router = new VueRouter({ routes })
+      router.push('/foo')
+      router.history.stack.push(router.match('/bar'))
+      expect(router.history.stack.length).toBe(1)
+      expect(() => {
+        router.history.index = 3
+      }).toThrow()
+      expect(router.history.index).toBe(0)
+    })
+
+    it('returns the current entry after going back', () => {
+      const router = new VueRouter({ routes })
+      router.push('/foo')
+      router.push('/bar')
+      router.back()
+      expect(router.history.getCurrentLocation()).toBe('/foo')
+    })
+
+    it('replaces the current entry and discards forward entries', () => {
+      const router = new VueRouter({ routes })
+      router.push('/')
+      router.push('/foo')
+      router.push('/bar')
+      router.go(-2)
+      router.replace('/bar')
+      expect(router.history.stack.map(r => r.path)).toEqual(['/bar'])
+      expect(router.history.index).toBe(0)
+      router.forward()
+      expect(router.currentRoute.path).toBe('/bar')
+    })
+
+    it('confirms the initial entry without recording a change', () => {
+      const router = new VueRouter({ routes, initialEntries: ['/', '/foo', '/bar'], initialIndex: 1 })
+      const spy = jasmine.createSpy('change')
+      router.history.onChange(spy)
+      new Vue({ router })
+      expect(router.currentRoute.path).toBe('/foo')
+      expect(router.history.stack.map(r => r.path)).toEqual(['/', '/foo', '/bar'])
+      expect(spy).not.toHaveBeenCalled()
+    })
+
+    it('notifies change listeners', () => {
+      const router = new VueRouter({ routes })
+      const spy = jasmine.createSpy('change')
+      const unlisten = router.history.onChange(spy)
+      router.push('/foo')
+      router.push('/bar')
+      router.replace('/')
+      router.back()
+      expect(spy.calls.allArgs().map(([change]) => [
+        change.type,
+        change.route.path,
+        change.index,
+        change.delta
+      ])).toEqual([
+        ['push', '/foo', 0, 1],
+        ['push', '/bar', 1, 1],
+        ['replace', '/', 1, 0],
+        ['pop', '/foo', 0, -1]
+      ])
+      unlisten()
+      router.forward()
+      expect(spy).toHaveBeenCalledTimes(4)
+    })
+
+    it('does not notify aborted navigations', () => {
+      const router = new VueRouter({ routes })
+      const spy = jasmine.createSpy('change')
+      router.push('/foo')
+      router.history.onChange(spy)
+      router.beforeEach((to, from, next) => next(false))
+      router.push('/bar').catch(() => {})
+      expect(spy).not.toHaveBeenCalled()
+      expect(router.history.index).toBe(0)
+    })
+
+    it('keeps route.state in the stack entries', () => {
+      const router = new VueRouter({ routes })
+      router.push({ path: '/foo', state: { from: 'list', scroll: 120 }})
+      router.push('/bar')
+      expect(router.currentRoute.state).toEqual({})
+      router.back()
+      expect(router.currentRoute.state).toEqual({ from: 'list', scroll: 120 })
+      expect(router.history.getCurrentState()).toBe(router.currentRoute.state)
+      router.forward()
+      router.back()
+      expect(router.currentRoute.state).toEqual({ from: 'list', scroll: 120 })
+    })
+
+    it('does not treat a navigation with a different state as duplicated', () => {
+      const router = new VueRouter({ routes })
+      router.push('/foo')
+      router.replace({ path: '/foo', state: { tab: 2 }})
+      expect(router.currentRoute.state).toEqual({ tab: 2 })
+      expect(router.history.stack.length).toBe(1)
+      const onAbort = jasmine.createSpy('onAbort')
+      router.push({ path: '/foo', state: { tab: 2 }}, null, onAbort)
+      expect(onAbort).toHaveBeenCalled()
+    })
+
+    it('restores the state of the initial entry on init', () => {
+      const router = new VueRouter({
+        routes,
+        initialEntries: ['/', { path: '/foo', state: { modal: true }}]
+      })
+      new Vue({ router })
+      expect(router.currentRoute.path).toBe('/foo')
+      expect(router.currentRoute.state).toEqual({ modal: true })
+    })
+  })
+
+  describe('resolveForServer', () => {
+    const Foo = { name: 'foo' }
+    const Login = { name: 'login' }
+    let router
+
+    beforeEach(() => {
+      router = new VueRouter({
+        routes: [
+          { path: '/foo', component: () => Promise.resolve(Foo) },
+          { path: '/login', component: Login },
+          { path: '/old', redirect: '/foo' },
+          {
+            path: '/admin',
+            component: { name: 'admin' },
+            beforeEnter: (to, from, next) => next('/login')
+          },
+          {
+            path: '/error',
+            component: { name: 'error' },
+            beforeEnter: (to, from, next) => next(new Error('foo'))
+          },
+          {
+            path: '/private',
+            component: { name: 'private' },
+            beforeEnter: (to, from, next) => next(false)
+          },
+          {
+            path: '/slow',
+            component: { name: 'slow' },
+            beforeEnter: (to, from, next) => setTimeout(() => next('/admin'), 5)
+          }
+        ]
+      })
+      router.onError(() => {})
+    })
+
+    it('resolves matched components with a 200 status', done => {
+      router.resolveForServer('/foo').then(({ route, components, redirect, status }) => {
+        expect(route.path).toBe('/foo')
+        expect(components).toEqual([Foo])
+        expect(redirect).toBe(null)
+        expect(status).toBe(200)
+        done()
+      })
+    })
+
+    it('reports redirects issued by guards', done => {
+      router.resolveForServer('/admin').then(({ route, components, redirect, status }) => {
+        expect(route.path).toBe('/login')
+        expect(components).toEqual([Login])
+        expect(redirect).toBe('/login')
+        expect(status).toBe(302)
+        done()
+      })
+    })
+
+    it('reports redirects from the route config', done => {
+      router.resolveForServer('/old').then(({ redirect, status }) => {
+        expect(redirect).toBe('/foo')
+        expect(status).toBe(302)
+        done()
+      })
+    })
+
+    it('reports a 404 status when nothing matches', done => {
+      router.resolveForServer('/nothing').then(({ components, status }) => {
+        expect(components).toEqual([])
+        expect(status).toBe(404)
+        done()
+      })
+    })
+
+    it('resolves the current location', done => {
+      router.resolveForServer('/login').then(() => {
+        return router.resolveForServer('/login')
+      }).then(({ route, status }) => {
+        expect(route.path).toBe('/login')
+        expect(status).toBe(200)
+        done()
+      })
+    })
+
+    it('resolves navigation errors with a 500 status', done => {
+      router.resolveForServer('/error').then(({ components, redirect, status, error }) => {
+        expect(components).toEqual([])
+        expect(redirect).toBe(null)
+        expect(status).toBe(500)
+        expect(error.message).toBe('foo')
+        done()
+      })
+    })
+
+    it('resolves navigations aborted by guards with a 403 status', done => {
+      router.resolveForServer('/private').then(({ route, status, error }) => {
+        expect(route.path).toBe('/private')
+        expect(status).toBe(403)
+        expect(error.type).toBe(VueRouter.NavigationFailureType.aborted)
+        done()
+      })
+    })
+
+    it('follows its own redirects only', done => {
+      // /slow重定向到/admin，/admin又重定向到/login
+      const slow = router.resolveForServer('/slow')
+      router.push('/foo').then(() => slow).then(({ route, redirect, status }) => {
+        expect(route.path).toBe('/login')
+        expect(redirect).toBe('/login')
+        expect(status).toBe(302)
+        done()
+      })
+    })
+  })
 })
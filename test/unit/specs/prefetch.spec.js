@@ -0,0 +1,136 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import RouterLink from '../../../src/components/link'
+import { prefetchAsyncComponents } from '../../../src/util/resolve-components'
+
+Vue.use(VueRouter)
+
+describe('prefetching async components', () => {
+  const Foo = { name: 'Foo' }
+  let factory, router
+
+  beforeEach(() => {
+    factory = jasmine.createSpy('factory').and.returnValue(Promise.resolve(Foo))
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/foo', component: factory },
+        { path: '/other-foo', component: factory }
+      ]
+    })
+  })
+
+  it('resolves the components without navigating', done => {
+    const { route } = router.resolve('/foo')
+    prefetchAsyncComponents(route.matched, router).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      expect(route.matched[0].components.default).toBe(Foo)
+      expect(router.currentRoute.path).toBe('/')
+      return router.push('/foo')
+    }).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('shares loads of the same factory', done => {
+    const foo = router.resolve('/foo').route
+    const otherFoo = router.resolve('/other-foo').route
+    Promise.all([
+      prefetchAsyncComponents(foo.matched, router),
+      prefetchAsyncComponents(foo.matched, router),
+      prefetchAsyncComponents(otherFoo.matched, router)
+    ]).then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      expect(otherFoo.matched[0].components.default).toBe(factory.resolved)
+      done()
+    })
+  })
+
+  it('lets navigations wait for a prefetch in progress', done => {
+    let resolveFoo
+    factory.and.returnValue(new Promise(resolve => { resolveFoo = resolve }))
+    const { route } = router.resolve('/foo')
+    prefetchAsyncComponents(route.matched, router)
+    // 预加载完成之前点击链接
+    router.push('/foo').then(() => {
+      expect(factory).toHaveBeenCalledTimes(1)
+      expect(router.currentRoute.matched[0].components.default).toBe(Foo)
+      done()
+    })
+    resolveFoo(Foo)
+  })
+
+  it('rejects with the load error', done => {
+    factory.and.returnValue(Promise.reject(new Error('network')))
+    prefetchAsyncComponents(router.resolve('/foo').route.matched, router).catch(err => {
+      expect(err.message).toBe('network')
+      done()
+    })
+  })
+})
+
+describe('router-link prefetch', () => {
+  let factory
+
+  // 直接调用<router-link>的render函数，返回渲染出的vnode数据
+  function renderLink (props, options = {}) {
+    factory = jasmine.createSpy('factory').and.returnValue(Promise.resolve({ name: 'Foo' }))
+    const router = new VueRouter(Object.assign({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/foo', component: factory }
+      ]
+    }, options))
+    const link = Object.assign({
+      $router: router,
+      $route: router.currentRoute,
+      $scopedSlots: {},
+      $slots: {},
+      tag: 'a',
+      event: 'click',
+      prefetch: null
+    }, props)
+    return RouterLink.render.call(link, (tag, data) => ({ tag, data }))
+  }
+
+  it('does not prefetch by default', () => {
+    const vnode = renderLink({ to: '/foo' })
+    expect(vnode.data.on.mouseenter).toBeUndefined()
+    expect(vnode.data.on.focus).toBeUndefined()
+  })
+
+  it('prefetches on hover and focus with the prefetch prop', () => {
+    const vnode = renderLink({ to: '/foo', prefetch: true })
+    vnode.data.on.mouseenter()
+    expect(factory).toHaveBeenCalledTimes(1)
+    expect(vnode.data.on.focus).toBe(vnode.data.on.mouseenter)
+  })
+
+  it('uses the linkPrefetch option', () => {
+    let vnode = renderLink({ to: '/foo' }, { linkPrefetch: 'hover' })
+    expect(vnode.data.on.mouseenter).toEqual(jasmine.any(Function))
+    vnode = renderLink({ to: '/foo', prefetch: false }, { linkPrefetch: true })
+    expect(vnode.data.on.mouseenter).toBeUndefined()
+  })
+
+  it('keeps navigation listeners on the event used to navigate', () => {
+    const vnode = renderLink({ to: '/foo', prefetch: true, event: 'mouseenter' })
+    expect(vnode.data.on.mouseenter.length).toBe(2)
+  })
+
+  it('adds the listeners to the child anchor without navigating', () => {
+    const anchor = { tag: 'a', data: { on: { focus: jasmine.createSpy('focus') }}}
+    const vnode = renderLink({
+      to: '/foo',
+      tag: 'li',
+      prefetch: true,
+      $slots: { default: [anchor] }
+    })
+    expect(vnode.data.on).toBeUndefined()
+    expect(Object.keys(anchor.data.on).sort()).toEqual(['click', 'focus', 'mouseenter'])
+    expect(anchor.data.on.focus.length).toBe(2)
+    anchor.data.on.mouseenter()
+    expect(factory).toHaveBeenCalledTimes(1)
+  })
+})
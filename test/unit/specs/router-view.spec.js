@@ -0,0 +1,195 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import RouterView from '../../../src/components/view'
+import {
+  genStateKey,
+  getStateKey,
+  setStateKey,
+  getStatePosition,
+  setStatePosition,
+  popStateKey
+} from '../../../src/util/state-key'
+
+Vue.use(VueRouter)
+
+describe('router-view route prop', () => {
+  const User = { name: 'User', props: { id: String }}
+  let router
+
+  beforeEach(() => {
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/user/:id', component: User, props: true }
+      ]
+    })
+  })
+
+  // 直接调用<router-view>的render函数，parent为模拟的组件实例
+  function renderView (props, parent = {}) {
+    parent.$createElement = (tag, data) => ({ tag, data })
+    parent._routerRoot = parent
+    return RouterView.render(null, {
+      props: Object.assign({ name: 'default' }, props),
+      children: undefined,
+      parent,
+      data: {}
+    })
+  }
+
+  it('renders a route that is not the current route', () => {
+    const { route } = router.resolve('/user/2')
+    const vnode = renderView({ route }, { $route: router.currentRoute })
+    expect(vnode.tag).toBe(User)
+    expect(vnode.data.props).toEqual({ id: '2' })
+  })
+
+  it('renders without a router', () => {
+    const { route } = router.resolve('/user/3')
+    expect(renderView({ route }).tag).toBe(User)
+  })
+
+  it('registers instances of the rendered route', done => {
+    router.push('/').then(current => {
+      const { route } = router.resolve('/user/2')
+      const vnode = renderView({ route }, { $route: current })
+      expect(vnode.data.registerRouteInstance).toEqual(jasmine.any(Function))
+      const vm = {}
+      vnode.data.hook.prepatch(null, { componentInstance: vm })
+      expect(route.matched[0].instances.default).toBe(vm)
+      vnode.data.registerRouteInstance(vm, undefined)
+      expect(route.matched[0].instances.default).toBeUndefined()
+      done()
+    })
+  })
+
+  it('warns when given a location instead of a route', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    const vnode = renderView({ route: { path: '/user/2' }}, { $route: router.currentRoute })
+    expect(vnode.tag).toBeUndefined()
+    expect(console.warn.calls.argsFor(0)[0]).toMatch('expects "route" to be a resolved route object')
+  })
+})
+
+describe('router-view transitions', () => {
+  const Home = { name: 'Home' }
+  const List = { name: 'List' }
+  const Detail = { name: 'Detail' }
+  let router, parent
+
+  beforeEach(() => {
+    router = new VueRouter({
+      routes: [
+        { path: '/', component: Home },
+        { path: '/list', component: List, transition: 'fade' },
+        {
+          path: '/detail/:id',
+          component: Detail,
+          transition: { forward: 'slide-left', back: { name: 'slide-right', mode: 'out-in' }}
+        }
+      ]
+    })
+    parent = {
+      $router: router,
+      $createElement: (tag, data, children) => ({ tag, data, children })
+    }
+    parent._routerRoot = parent
+  })
+
+  function renderView () {
+    parent.$route = router.currentRoute
+    return RouterView.render(null, {
+      props: { name: 'default' },
+      children: undefined,
+      parent,
+      data: {}
+    })
+  }
+
+  it('does not wrap views of routes without a transition', () => {
+    router.push('/')
+    expect(renderView().tag).toBe(Home)
+  })
+
+  it('wraps the view in a transition named by the route config', () => {
+    router.push('/list')
+    const vnode = renderView()
+    expect(vnode.tag).toBe('transition')
+    expect(vnode.data.props).toEqual({ name: 'fade' })
+    expect(vnode.children[0].tag).toBe(List)
+    expect(vnode.children[0].data.routerView).toBe(true)
+  })
+
+  it('uses the transition of the leaving route if the entering route has none', () => {
+    router.push('/list')
+    router.push('/')
+    const vnode = renderView()
+    expect(vnode.data.props).toEqual({ name: 'fade' })
+    expect(vnode.children[0].tag).toBe(Home)
+  })
+
+  it('picks the transition by navigation direction', () => {
+    router.push('/')
+    router.push('/detail/1')
+    expect(renderView().data.props).toEqual({ name: 'slide-left' })
+    router.push('/detail/2')
+    router.back()
+    expect(renderView().data.props).toEqual({ name: 'slide-right', mode: 'out-in' })
+    // 没有配置的方向不执行过渡，但保留<transition>
+    router.replace('/detail/3')
+    expect(renderView().data.props).toEqual({ css: false })
+  })
+
+  it('calls transition functions with the direction', () => {
+    const transition = jasmine.createSpy('transition').and.returnValue('zoom')
+    router.addRoutes([{ path: '/zoom', component: Detail, transition }])
+    router.push('/list')
+    router.push('/zoom')
+    expect(renderView().data.props).toEqual({ name: 'zoom' })
+    const [to, from, direction] = transition.calls.mostRecent().args
+    expect(to.path).toBe('/zoom')
+    expect(from.path).toBe('/list')
+    expect(direction).toBe('forward')
+  })
+})
+
+describe('popStateKey', () => {
+  afterEach(() => {
+    setStateKey(genStateKey())
+    setStatePosition(0)
+  })
+
+  it('compares history positions to tell the direction and delta', () => {
+    setStateKey('20.000')
+    setStatePosition(3)
+    expect(popStateKey({ key: '10.000', position: 1 })).toEqual({
+      type: 'pop',
+      direction: 'back',
+      delta: -2
+    })
+    expect(getStateKey()).toBe('10.000')
+    expect(getStatePosition()).toBe(1)
+    expect(popStateKey({ key: '30.000', position: 2 })).toEqual({
+      type: 'pop',
+      direction: 'forward',
+      delta: 1
+    })
+    expect(getStateKey()).toBe('30.000')
+  })
+
+  it('treats entries without a position as new entries', () => {
+    setStateKey('20.000')
+    setStatePosition(3)
+    expect(popStateKey(null)).toEqual({ type: 'pop', direction: 'unknown', delta: 0 })
+    expect(getStateKey()).not.toBe('20.000')
+    expect(getStatePosition()).toBe(4)
+  })
+
+  it('keeps the key of entries without a position', () => {
+    setStatePosition(3)
+    expect(popStateKey({ key: '10.000' })).toEqual({ type: 'pop', direction: 'unknown', delta: 0 })
+    expect(getStateKey()).toBe('10.000')
+    expect(getStatePosition()).toBe(4)
+  })
+})
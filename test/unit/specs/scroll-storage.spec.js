@@ -0,0 +1,58 @@
+import { createScrollStorage } from '../../../src/util/scroll-storage'
+
+describe('scroll storage', () => {
+  let storage
+
+  beforeEach(() => {
+    const items = {}
+    storage = {
+      items,
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = value }
+    }
+  })
+
+  it('saves positions in the storage adapter', () => {
+    const scrollStorage = createScrollStorage({ storage })
+    expect(scrollStorage.read()).toEqual({})
+    scrollStorage.write({ '1.000': { x: 0, y: 100 }, '2.000': { x: 0, y: 20 }})
+    expect(JSON.parse(storage.items['vue-router-scroll'])).toEqual({
+      '1.000': { x: 0, y: 100 },
+      '2.000': { x: 0, y: 20 }
+    })
+    // 刷新页面后重新创建的存储可以读取之前的位置
+    expect(createScrollStorage({ storage }).read()).toEqual({
+      '1.000': { x: 0, y: 100 },
+      '2.000': { x: 0, y: 20 }
+    })
+  })
+
+  it('evicts the positions saved first', () => {
+    const scrollStorage = createScrollStorage({ storage, key: 'scroll', max: 2 })
+    scrollStorage.write({
+      '3.000': { x: 0, y: 3 },
+      '1.000': { x: 0, y: 1 },
+      '2.000': { x: 0, y: 2 }
+    })
+    expect(Object.keys(scrollStorage.read())).toEqual(['1.000', '2.000'])
+    expect(storage.items['vue-router-scroll']).toBeUndefined()
+  })
+
+  it('ignores invalid saved data', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    storage.items['vue-router-scroll'] = '{"1.000":{"x":0,"y":1},"2.000":null}'
+    expect(createScrollStorage({ storage }).read()).toEqual({ '1.000': { x: 0, y: 1 }})
+    storage.items['vue-router-scroll'] = '{'
+    expect(createScrollStorage({ storage }).read()).toEqual({})
+    expect(console.warn.calls.argsFor(0)[0]).toMatch('failed to read saved scroll positions')
+  })
+
+  it('warns when positions cannot be saved', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    storage.setItem = () => { throw new Error('QuotaExceededError') }
+    createScrollStorage({ storage }).write({ '1.000': { x: 0, y: 1 }})
+    expect(console.warn.calls.argsFor(0)[0]).toMatch('failed to save scroll positions')
+  })
+})
@@ -0,0 +1,262 @@
+import Router from '../../../src/index'
+import {
+  handleScroll,
+  saveScrollPosition,
+  registerScrollContainer
+} from '../../../src/util/scroll'
+import { genStateKey, setStateKey } from '../../../src/util/state-key'
+
+describe('scroll containers', () => {
+  let main, sidebar, router, history, unregister
+
+  // 单元测试运行在node中，用简单的对象模拟页面和滚动容器
+  beforeEach(() => {
+    main = { scrollLeft: 0, scrollTop: 300 }
+    sidebar = { scrollLeft: 0, scrollTop: 40 }
+    global.window = { pageXOffset: 0, pageYOffset: 10, scrollTo: jasmine.createSpy('scrollTo') }
+    global.document = { querySelector: selector => (selector === '#sidebar' ? sidebar : null) }
+    router = new Router({
+      mode: 'abstract',
+      scrollBehavior: () => {},
+      scrollContainers: { main }
+    })
+    const removers = [
+      router.registerScrollContainer('sidebar', '#sidebar'),
+      router.registerScrollContainer('missing', '#missing')
+    ]
+    unregister = () => removers.forEach(remove => remove())
+    // abstract模式不保存滚动位置，模拟HTML5History和HashHistory
+    history = { router, scrollPositions: {}}
+    setStateKey(genStateKey())
+  })
+
+  afterEach(() => {
+    delete global.window
+    delete global.document
+  })
+
+  function scroll (scrollBehavior) {
+    const fakeRouter = {
+      app: { $nextTick: fn => fn() },
+      options: { scrollBehavior },
+      history,
+      scrollContainers: router.scrollContainers
+    }
+    const route = router.match('/')
+    handleScroll(fakeRouter, route, route, true)
+  }
+
+  it('saves the positions of registered containers with the history entry', () => {
+    saveScrollPosition(history)
+    const scrollBehavior = jasmine.createSpy('scrollBehavior')
+    scroll(scrollBehavior)
+    expect(scrollBehavior.calls.argsFor(0)[2]).toEqual({
+      x: 0,
+      y: 10,
+      containers: {
+        main: { x: 0, y: 300 },
+        sidebar: { x: 0, y: 40 }
+      }
+    })
+  })
+
+  it('restores the positions of containers returned by scrollBehavior', () => {
+    saveScrollPosition(history)
+    main.scrollTop = 0
+    sidebar.scrollTop = 0
+    scroll((to, from, savedPosition) => savedPosition)
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 10)
+    expect(main.scrollTop).toBe(300)
+    expect(sidebar.scrollTop).toBe(40)
+
+    scroll(() => ({ x: 0, y: 0, containers: { main: { y: 20 }}}))
+    expect(main.scrollTop).toBe(20)
+    expect(sidebar.scrollTop).toBe(40)
+  })
+
+  it('stops saving positions of unregistered containers', () => {
+    unregister()
+    saveScrollPosition(history)
+    const scrollBehavior = jasmine.createSpy('scrollBehavior')
+    scroll(scrollBehavior)
+    expect(scrollBehavior.calls.argsFor(0)[2]).toEqual({ x: 0, y: 10, containers: { main: { x: 0, y: 300 }}})
+  })
+
+  it('keeps the positions of each history apart', () => {
+    saveScrollPosition(history)
+    history = { router, scrollPositions: {}}
+    const scrollBehavior = jasmine.createSpy('scrollBehavior')
+    scroll(scrollBehavior)
+    expect(scrollBehavior.calls.argsFor(0)[2]).toBeUndefined()
+  })
+
+  it('generates keys that do not repeat', () => {
+    const key = genStateKey()
+    expect(key).not.toBe(genStateKey())
+    expect(parseInt(key, 10)).not.toBeLessThan(Date.now() - 1000)
+  })
+
+  it('keeps the containers of each router apart', () => {
+    const other = new Router({ mode: 'abstract', scrollBehavior: () => {} })
+    registerScrollContainer(other, 'other', { scrollLeft: 0, scrollTop: 80 })
+    expect(Object.keys(router.scrollContainers)).toEqual(['main', 'sidebar', 'missing'])
+    expect(Object.keys(other.scrollContainers)).toEqual(['other'])
+  })
+
+  it('warns when registering containers without scrollBehavior', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    const other = new Router({ mode: 'abstract' })
+    other.registerScrollContainer('main', main)
+    expect(console.warn.calls.argsFor(0)[0]).toMatch('registered without a scrollBehavior')
+  })
+})
+
+describe('scrollBehavior options', () => {
+  let header, docEl
+
+  function element (top) {
+    return { getBoundingClientRect: () => ({ left: 0, top }) }
+  }
+
+  beforeEach(() => {
+    header = { offsetHeight: 60 }
+    docEl = Object.assign(element(-100), { style: { scrollBehavior: '' }})
+    global.window = { pageXOffset: 0, pageYOffset: 100, scrollTo: jasmine.createSpy('scrollTo') }
+    global.document = {
+      documentElement: docEl,
+      querySelector: selector => (selector === '#comments' ? element(400) : null),
+      getElementById: () => null
+    }
+  })
+
+  afterEach(() => {
+    delete global.window
+    delete global.document
+  })
+
+  function scroll (position) {
+    const router = new Router({ mode: 'abstract' })
+    const fakeRouter = {
+      app: { $nextTick: fn => fn() },
+      options: { scrollBehavior: () => position },
+      history: router.history
+    }
+    const route = router.match('/')
+    handleScroll(fakeRouter, route, route, false)
+  }
+
+  it('scrolls smoothly with ScrollToOptions', () => {
+    scroll({ x: 0, y: 200, behavior: 'smooth' })
+    expect(window.scrollTo).toHaveBeenCalledWith({ left: 0, top: 200, behavior: 'smooth' })
+  })
+
+  it('jumps to the position without ScrollToOptions support', () => {
+    delete docEl.style.scrollBehavior
+    scroll({ x: 0, y: 200, behavior: 'smooth' })
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 200)
+  })
+
+  it('scrolls to an element or a selector', () => {
+    scroll({ el: element(300) })
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 400)
+    scroll({ el: '#comments', offset: { y: 10 }})
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 490)
+  })
+
+  it('calls offset functions when scrolling', () => {
+    const offset = jasmine.createSpy('offset').and.callFake(() => ({ y: header.offsetHeight }))
+    header.offsetHeight = 80
+    scroll({ el: '#comments', offset, behavior: 'smooth' })
+    expect(offset).toHaveBeenCalled()
+    expect(window.scrollTo).toHaveBeenCalledWith({ left: 0, top: 420, behavior: 'smooth' })
+  })
+})
+
+describe('scrollWait', () => {
+  let docEl, comments
+
+  beforeEach(() => {
+    jasmine.clock().install()
+    jasmine.clock().mockDate()
+    comments = null
+    // 页面有15px宽的竖向滚动条，内容宽度等于视口减去滚动条
+    docEl = {
+      scrollWidth: 985,
+      scrollHeight: 1000,
+      clientWidth: 985,
+      clientHeight: 800,
+      style: {},
+      getBoundingClientRect: () => ({ left: 0, top: 0 })
+    }
+    global.window = {
+      pageXOffset: 0,
+      pageYOffset: 0,
+      innerWidth: 1000,
+      innerHeight: 800,
+      scrollTo: jasmine.createSpy('scrollTo')
+    }
+    global.document = {
+      documentElement: docEl,
+      querySelector: () => comments
+    }
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+    delete global.window
+    delete global.document
+  })
+
+  function scroll (position, scrollWait = true) {
+    const router = new Router({ mode: 'abstract' })
+    const fakeRouter = {
+      app: { $nextTick: fn => fn() },
+      options: { scrollBehavior: () => position, scrollWait },
+      history: router.history
+    }
+    const route = router.match('/')
+    handleScroll(fakeRouter, route, route, false)
+  }
+
+  it('scrolls right away to positions within the document', () => {
+    scroll({ x: 0, y: 200 })
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 200)
+  })
+
+  it('waits until the document is tall enough', () => {
+    scroll({ x: 0, y: 2000 })
+    jasmine.clock().tick(100)
+    expect(window.scrollTo).not.toHaveBeenCalled()
+    // 列表数据加载完成
+    docEl.scrollHeight = 3000
+    jasmine.clock().tick(50)
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 2000)
+  })
+
+  it('waits until the target element exists', () => {
+    scroll({ el: '#comments', offset: { y: 10 }}, { interval: 100 })
+    jasmine.clock().tick(100)
+    expect(window.scrollTo).not.toHaveBeenCalled()
+    comments = { getBoundingClientRect: () => ({ left: 0, top: 500 }) }
+    jasmine.clock().tick(100)
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 490)
+  })
+
+  it('scrolls anyway after the timeout', () => {
+    scroll({ x: 0, y: 2000 }, { timeout: 300 })
+    jasmine.clock().tick(250)
+    expect(window.scrollTo).not.toHaveBeenCalled()
+    jasmine.clock().tick(50)
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 2000)
+  })
+
+  it('gives up when another navigation scrolls', () => {
+    scroll({ x: 0, y: 2000 })
+    scroll({ x: 0, y: 100 })
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 100)
+    docEl.scrollHeight = 3000
+    jasmine.clock().tick(1000)
+    expect(window.scrollTo).toHaveBeenCalledTimes(1)
+  })
+})
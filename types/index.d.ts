@@ -12,5 +12,26 @@ export {
   RouteRecord,
   Location,
   Route,
-  NavigationGuard
+  NavigationGuard,
+  NavigationOptions,
+  NavigationFailure,
+  NavigationFailureType,
+  ComponentLoadError,
+  ComponentRetryOptions,
+  ScrollStorageAdapter,
+  ScrollPersistenceOptions,
+  SavedPosition,
+  ScrollOffset,
+  ScrollWaitOptions,
+  A11yOptions,
+  NavigationType,
+  NavigationDirection,
+  NavigationInfo,
+  TransitionDirection,
+  RouteTransition,
+  NavigationEvent,
+  NavigationGuardInfo,
+  GuardResolvedEvent,
+  ComponentsResolvedEvent,
+  NavigationFailedEvent
 } from './router'
@@ -10,9 +10,127 @@ export type RedirectOption = RawLocation | ((to: Route) => RawLocation)
 export type NavigationGuard < V extends Vue = Vue > = (
   to: Route,
   from: Route,
-  next: (to?: RawLocation | false | ((vm: V) => any) | void) => void
+  next: (to?: RawLocation | false | ((vm: V) => any) | void) => void,
+  signal?: AbortSignal,
+  info?: NavigationInfo
 ) => any
 
+export type NavigationType = 'push' | 'replace' | 'pop'
+
+export type NavigationDirection = 'forward' | 'back' | 'unknown'
+
+export interface NavigationInfo {
+  type: NavigationType
+  direction: NavigationDirection
+  delta: number
+}
+
+export interface NavigationOptions {
+  signal?: AbortSignal
+}
+
+export declare enum NavigationFailureType {
+  redirected = 1,
+  aborted = 2,
+  cancelled = 4,
+  duplicated = 8
+}
+
+export interface NavigationFailure extends Error {
+  from: Route
+  to: Route
+  type: NavigationFailureType
+}
+
+export interface ComponentLoadError extends Error {
+  name: 'ComponentLoadError'
+  record: RouteRecord
+  view: string
+  attempts: number
+  cause: any
+}
+
+export interface ComponentRetryOptions {
+  count?: number
+  delay?: number
+  backoff?: number
+  shouldRetry?: (
+    error: any,
+    attempt: number,
+    info: { record: RouteRecord; view: string }
+  ) => boolean
+}
+
+export interface ScrollStorageAdapter {
+  getItem(key: string): string | null
+  setItem(key: string, value: string): void
+}
+
+export interface ScrollPersistenceOptions {
+  storage?: ScrollStorageAdapter
+  key?: string
+  max?: number
+}
+
+export interface ScrollWaitOptions {
+  timeout?: number
+  interval?: number
+}
+
+export interface A11yOptions {
+  focus?:
+    | boolean
+    | string
+    | ((to: Route, from: Route) => string | Element | false | null | undefined)
+  announce?: boolean | ((to: Route, from: Route) => string | null | undefined)
+  politeness?: 'polite' | 'assertive'
+}
+
+export type TransitionDirection = 'forward' | 'back' | 'replace'
+
+export type RouteTransitionProps = string | { [key: string]: any }
+
+export type RouteTransition =
+  | RouteTransitionProps
+  | {
+      forward?: RouteTransitionProps
+      back?: RouteTransitionProps
+      replace?: RouteTransitionProps
+    }
+  | ((
+      to: Route,
+      from: Route,
+      direction: TransitionDirection
+    ) => RouteTransitionProps | void)
+
+export interface NavigationEvent {
+  to: Route
+  from: Route
+  timestamp: number
+  duration: number
+}
+
+export interface NavigationGuardInfo {
+  name: string
+  record?: RouteRecord
+  component?: string
+}
+
+export interface GuardResolvedEvent extends NavigationEvent {
+  guard: NavigationGuardInfo
+  guardDuration: number
+  result: any
+}
+
+export interface ComponentsResolvedEvent extends NavigationEvent {
+  guardDuration: number
+  result: any
+}
+
+export interface NavigationFailedEvent extends NavigationEvent {
+  error: Error
+}
+
 export declare class VueRouter {
   constructor(options?: RouterOptions)
 
@@ -22,9 +140,32 @@ export declare class VueRouter {
 
   beforeEach(guard: NavigationGuard): Function
   beforeResolve(guard: NavigationGuard): Function
-  afterEach(hook: (to: Route, from: Route) => any): Function
-  push(location: RawLocation): Promise<Route>
-  replace(location: RawLocation): Promise<Route>
+  afterEach(
+    hook: (
+      to: Route,
+      from: Route,
+      failure?: NavigationFailure,
+      info?: NavigationInfo
+    ) => any
+  ): Function
+  on(
+    event: 'navigationStart' | 'navigationEnd',
+    listener: (event: NavigationEvent) => any
+  ): Function
+  on(
+    event: 'guardResolved',
+    listener: (event: GuardResolvedEvent) => any
+  ): Function
+  on(
+    event: 'componentsResolved',
+    listener: (event: ComponentsResolvedEvent) => any
+  ): Function
+  on(
+    event: 'navigationFailed',
+    listener: (event: NavigationFailedEvent) => any
+  ): Function
+  push(location: RawLocation, options?: NavigationOptions): Promise<Route>
+  replace(location: RawLocation, options?: NavigationOptions): Promise<Route>
   push(
     location: RawLocation,
     onComplete?: Function,
@@ -35,13 +176,27 @@ export declare class VueRouter {
     onComplete?: Function,
     onAbort?: ErrorHandler
   ): void
+  resolveForServer(
+    location: RawLocation
+  ): Promise<{
+    route: Route
+    components: Component[]
+    redirect: string | null
+    status: 200 | 302 | 403 | 404 | 500
+    error: Error | null
+  }>
   go(n: number): void
   back(): void
   forward(): void
   getMatchedComponents(to?: RawLocation | Route): Component[]
   onReady(cb: Function, errorCb?: ErrorHandler): void
   onError(cb: ErrorHandler): void
-  addRoutes(routes: RouteConfig[]): void
+  addRoutes(routes: RouteConfig[]): () => void
+  addRoute(parentName: string, route: RouteConfig): () => void
+  addRoute(route: RouteConfig): () => void
+  removeRoute(name: string): void
+  hasRoute(name: string): boolean
+  getRoutes(): RouteRecord[]
   resolve(
     to: RawLocation,
     current?: Route,
@@ -54,12 +209,35 @@ export declare class VueRouter {
     normalizedTo: Location
     resolved: Route
   }
+  preload(location: RawLocation): Promise<Route>
+
+  registerScrollContainer(id: string, container: string | Element): Function
 
   static install: PluginFunction<never>
+  static version: string
+
+  static isNavigationFailure: (
+    error: any,
+    type?: number
+  ) => error is NavigationFailure
+  static NavigationFailureType: typeof NavigationFailureType
 }
 
 type Position = { x: number; y: number }
-type PositionResult = Position | { selector: string; offset?: Position } | void
+export interface SavedPosition extends Position {
+  containers?: Dictionary<Position>
+}
+export type ScrollOffset = Partial<Position> | (() => Partial<Position>)
+type PositionResult =
+  | (SavedPosition & { behavior?: ScrollBehavior })
+  | {
+      el?: string | Element
+      selector?: string
+      offset?: ScrollOffset
+      behavior?: ScrollBehavior
+      containers?: Dictionary<Position>
+    }
+  | void
 
 export interface RouterOptions {
   routes?: RouteConfig[]
@@ -68,12 +246,22 @@ export interface RouterOptions {
   base?: string
   linkActiveClass?: string
   linkExactActiveClass?: string
+  linkPrefetch?: boolean | 'hover' | 'visible'
   parseQuery?: (query: string) => Object
   stringifyQuery?: (query: Object) => string
+  guardTimeout?: number
+  initialEntries?: RawLocation[]
+  initialIndex?: number
+  componentRetry?: ComponentRetryOptions
+  scrollPersistence?: boolean | ScrollPersistenceOptions
+  scrollContainers?: Dictionary<string | Element>
+  scrollWait?: boolean | ScrollWaitOptions
+  a11y?: boolean | A11yOptions
   scrollBehavior?: (
     to: Route,
     from: Route,
-    savedPosition: Position | void
+    savedPosition: SavedPosition | void,
+    info: NavigationInfo
   ) => PositionResult | Promise<PositionResult> | undefined | null
 }
 
@@ -90,11 +278,17 @@ export interface RouteConfig {
   name?: string
   component?: Component
   components?: Dictionary<Component>
+  errorComponent?: Component
+  loadingComponent?: Component
+  componentRetry?: ComponentRetryOptions
+  transition?: RouteTransition
   redirect?: RedirectOption
   alias?: string | string[]
   children?: RouteConfig[]
   meta?: any
   beforeEnter?: NavigationGuard
+  loader?: (route: Route, signal?: AbortSignal) => any
+  shouldReload?: (to: Route, from: Route) => boolean
   props?: boolean | Object | RoutePropsFunction
   caseSensitive?: boolean
   pathToRegexpOptions?: PathToRegexpOptions
@@ -115,6 +309,8 @@ export interface RouteRecord {
     redirect: (location: RawLocation) => void,
     next: () => void
   ) => any
+  loader?: (route: Route) => any
+  shouldReload?: (to: Route, from: Route) => boolean
   props:
     | boolean
     | Object
@@ -130,6 +326,8 @@ export interface Location {
   params?: Dictionary<string>
   append?: boolean
   replace?: boolean
+  state?: Dictionary<any>
+  background?: boolean | RawLocation
 }
 
 export interface Route {
@@ -142,4 +340,7 @@ export interface Route {
   matched: RouteRecord[]
   redirectedFrom?: string
   meta?: any
+  data: Dictionary<any>
+  state: Dictionary<any>
+  background?: Route
 }
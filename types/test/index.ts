@@ -1,7 +1,13 @@
 import Vue, { ComponentOptions, AsyncComponent } from 'vue'
 
 import VueRouter from '../index'
-import { Route, RouteRecord, RedirectOption } from '../index'
+import {
+  Route,
+  RouteRecord,
+  RedirectOption,
+  ComponentLoadError,
+  NavigationFailureType
+} from '../index'
 
 Vue.use(VueRouter)
 
@@ -43,7 +49,30 @@ const router = new VueRouter({
   fallback: false,
   linkActiveClass: 'active',
   linkExactActiveClass: 'exact-active',
-  scrollBehavior: (to, from, savedPosition) => {
+  guardTimeout: 10000,
+  initialEntries: ['/', { path: '/foo', query: { bar: 'baz' } }],
+  initialIndex: 1,
+  linkPrefetch: 'visible',
+  componentRetry: {
+    count: 3,
+    delay: 200,
+    backoff: 2,
+    shouldRetry: (error, attempt, { record, view }) =>
+      attempt < 3 && record.path !== '/' && view === 'default'
+  },
+  scrollPersistence: { storage: window.localStorage, key: 'app-scroll', max: 20 },
+  scrollContainers: { main: '#main' },
+  scrollWait: { timeout: 2000, interval: 100 },
+  a11y: {
+    focus: (to, from) => (to.hash ? to.hash : '[data-route-focus]'),
+    announce: to => to.meta.title,
+    politeness: 'polite'
+  },
+  scrollBehavior: (to, from, savedPosition, info) => {
+    if (info.type === 'pop' && info.direction === 'back' && info.delta < -1) {
+      return { x: 0, y: 0 }
+    }
+
     if (from.path === '/') {
       return { selector: '#app' }
     }
@@ -52,14 +81,32 @@ const router = new VueRouter({
       return { selector: '#foo', offset: { x: 0, y: 100 }}
     }
 
+    if (to.hash) {
+      return {
+        el: to.hash,
+        offset: () => ({ y: document.body.offsetHeight }),
+        behavior: 'smooth'
+      }
+    }
+
+    if (from.path === '/element') {
+      return { el: document.body, behavior: 'auto' }
+    }
+
     if (to.path === '/child') {
       return
     }
 
     if (savedPosition) {
+      const main: { x: number; y: number } | undefined =
+        savedPosition.containers && savedPosition.containers.main
       return savedPosition
     }
 
+    if (to.path === '/containers') {
+      return { x: 0, y: 0, containers: { main: { x: 0, y: 0 } } }
+    }
+
     return Promise.resolve({
       x: 0,
       y: 0
@@ -78,13 +125,19 @@ const router = new VueRouter({
             bar: Bar,
             asyncComponent: Async
           },
+          errorComponent: Foo,
+          loadingComponent: Bar,
+          componentRetry: { count: 1 },
+          transition: { forward: 'slide-left', back: { name: 'slide-right', mode: 'out-in' } },
           meta: { auth: true },
           beforeEnter (to, from, next) {
             to.params
             from.params
             next({ name: 'home' })
             next()
-          }
+          },
+          loader: route => Promise.resolve({ id: route.params.id }),
+          shouldReload: (to, from) => to.params.id !== from.params.id
         },
         {
           path: 'children',
@@ -96,7 +149,11 @@ const router = new VueRouter({
       ]
     },
     { path: '/home', alias: '/' },
-    { path: '/foo', props: true },
+    { path: '/foo', props: true, transition: 'fade' },
+    {
+      path: '/qux',
+      transition: (to, from, direction) => direction === 'back' ? 'slide-right' : undefined
+    },
     { path: '/bar', props: { id: 123 }},
     { path: '/baz', props: (route: Route) => route.params },
     { path: '*', redirect: '/' }
@@ -114,6 +171,9 @@ const query: string | (string | null)[] | null = route.query['foo']
 const params: string = route.params['bar']
 const fullPath: string = route.fullPath
 const redirectedFrom: string | undefined = route.redirectedFrom
+const data: { [key: string]: any } = route.data
+const state: { [key: string]: any } = route.state
+const background: Route | undefined = route.background
 const meta: any = route.meta
 const matched: RouteRecord[] = route.matched
 
@@ -136,6 +196,20 @@ const unregister = router.beforeEach((to, from, next) => {
 
 unregister()
 
+const off = router.on('guardResolved', event => {
+  event.guard.name
+  event.guardDuration
+  event.duration
+})
+off()
+router.on('navigationFailed', event => {
+  event.error.message
+  event.to.fullPath
+})
+
+router.beforeEach(to => false)
+router.beforeEach(to => Promise.resolve({ name: 'home' }))
+
 router.beforeResolve((to, from, next) => {
   to.params
   from.params
@@ -147,6 +221,24 @@ router.afterEach((to, from) => {
   from.params
 })
 
+router.afterEach((to, from, failure) => {
+  if (
+    VueRouter.isNavigationFailure(
+      failure,
+      VueRouter.NavigationFailureType.redirected
+    )
+  ) {
+    failure.from.fullPath
+    failure.to.fullPath
+  }
+  if (failure) {
+    const type: NavigationFailureType = failure.type
+    if (type === VueRouter.NavigationFailureType.aborted) {
+      failure.to.fullPath
+    }
+  }
+})
+
 router.push({
   path: '/',
   params: {
@@ -164,6 +256,23 @@ router.push({
 router.replace({ name: 'home' })
 
 router.push('/', () => {}, () => {})
+
+router.push({ path: '/foo', state: { from: 'list' } })
+router.push({ path: '/foo', background: true })
+router.push({ path: '/foo', background: { name: 'home' } })
+
+const controller = new AbortController()
+router.push('/foo', { signal: controller.signal }).catch(() => {})
+router.replace({ name: 'home' }, { signal: controller.signal })
+controller.abort()
+router.beforeEach((to, from, next, signal, info) => {
+  if (signal) signal.addEventListener('abort', () => {})
+  if (info && info.direction === 'back') return next(false)
+  next()
+})
+router.afterEach((to, from, failure, info) => {
+  const delta: number | undefined = info && info.delta
+})
 router.replace('/foo', () => {}, () => {})
 
 // promises
@@ -177,7 +286,38 @@ router
 
 router.onReady(() => {})
 
-router.addRoutes([{ path: '/more' }])
+router.preload('/foo').then(route => route.matched.length)
+
+const unregisterScrollContainer: Function = router.registerScrollContainer(
+  'sidebar',
+  document.body
+)
+
+router.onError((err: Error) => {
+  if (err.name === 'ComponentLoadError') {
+    const loadError = err as ComponentLoadError
+    loadError.record.path
+    loadError.view
+    loadError.attempts
+  }
+})
+
+router.resolveForServer('/').then(({ route, components, redirect, status, error }) => {
+  route.fullPath
+  components.length
+  if (redirect) redirect.length
+  status === 404
+  if (error) error.message
+})
+
+const removeMore: () => void = router.addRoutes([{ path: '/more' }])
+removeMore()
+const removeChild: () => void = router.addRoute('home', { path: 'added' })
+removeChild()
+router.addRoute({ path: '/added' })
+const hasHome: boolean = router.hasRoute('home')
+const records: RouteRecord[] = router.getRoutes()
+router.removeRoute('home')
 
 router.go(-1)
 router.back()